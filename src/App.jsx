@@ -1,6 +1,7 @@
 // App.jsx
 import { useState } from 'react'
 import SceneCanvas from './components/sceneCanvas/index.jsx'
+import AudioEngineProvider from './components/audioEngine/index.jsx'
 import { store } from './components/xr/xrStore.js'
 
 export default function App() {
@@ -10,7 +11,9 @@ export default function App() {
       <div style={{ position: 'fixed', zIndex: 10, padding: 12 }}>
         <button onClick={() => store.enterVR()}>Enter VR</button>
       </div>
-      <SceneCanvas store={store} red={red} onToggleRed={() => setRed((v) => !v)} />
+      <AudioEngineProvider>
+        <SceneCanvas store={store} red={red} onToggleRed={() => setRed((v) => !v)} />
+      </AudioEngineProvider>
     </>
   )
 }
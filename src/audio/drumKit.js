@@ -0,0 +1,124 @@
+// src/audio/drumKit.js
+// Synthesized drum kit for percussion tracks (membrane / noise / metal synths).
+// Drum hits are stored in the sequence like notes, with a GM-style `midi`
+// number plus a `drum` id so labels and playback don't depend on pitch.
+import * as Tone from 'tone'
+
+// Pad order = TonePad kit layout (2 rows x 4)
+export const DRUMS = [
+  { id: 'kick',  label: 'Kick',  short: 'Kik', midi: 36 },
+  { id: 'snare', label: 'Snare', short: 'Snr', midi: 38 },
+  { id: 'clap',  label: 'Clap',  short: 'Clp', midi: 39 },
+  { id: 'rim',   label: 'Rim',   short: 'Rim', midi: 37 },
+  { id: 'chh',   label: 'C.Hat', short: 'CHH', midi: 42 },
+  { id: 'ohh',   label: 'O.Hat', short: 'OHH', midi: 46 },
+  { id: 'tomLo', label: 'Tom L', short: 'LTm', midi: 45 },
+  { id: 'tomHi', label: 'Tom H', short: 'HTm', midi: 50 },
+]
+export const drumById = (id) => DRUMS.find(d => d.id === id) ?? null
+
+// How long each drum rings after a hit (seconds), for the voice count
+const RING = { kick: 0.4, snare: 0.25, clap: 0.17, rim: 0.06, chh: 0.07, ohh: 0.45, tomLo: 0.4, tomHi: 0.3 }
+
+/**
+ * One kit instance feeding `destination`. Each drum owns its synth(s), so
+ * hits of different drums overlap freely; the same drum retriggers itself.
+ * The open hat is choked by the closed hat, like on a real kit.
+ */
+export function createDrumKit(destination) {
+  const out = new Tone.Gain(1).connect(destination)
+
+  const kick = new Tone.MembraneSynth({
+    pitchDecay: 0.05, octaves: 8, volume: -4,
+    envelope: { attack: 0.001, decay: 0.35, sustain: 0, release: 0.1 },
+  }).connect(out)
+
+  const snareBody = new Tone.MembraneSynth({
+    pitchDecay: 0.02, octaves: 3, volume: -14,
+    envelope: { attack: 0.001, decay: 0.12, sustain: 0, release: 0.05 },
+  }).connect(out)
+  const snareHp = new Tone.Filter({ type: 'highpass', frequency: 1800 }).connect(out)
+  const snareNoise = new Tone.NoiseSynth({
+    noise: { type: 'white' }, volume: -12,
+    envelope: { attack: 0.001, decay: 0.18, sustain: 0, release: 0.05 },
+  }).connect(snareHp)
+
+  const clapBp = new Tone.Filter({ type: 'bandpass', frequency: 1200, Q: 1.2 }).connect(out)
+  const clap = new Tone.NoiseSynth({
+    noise: { type: 'pink' }, volume: -8,
+    envelope: { attack: 0.001, decay: 0.09, sustain: 0, release: 0.06 },
+  }).connect(clapBp)
+
+  const rim = new Tone.MembraneSynth({
+    pitchDecay: 0.004, octaves: 2, volume: -10,
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.02 },
+  }).connect(out)
+
+  const hatHp = new Tone.Filter({ type: 'highpass', frequency: 7000 }).connect(out)
+  const makeHat = (decay) => new Tone.MetalSynth({
+    frequency: 250, harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5, volume: -22,
+    envelope: { attack: 0.001, decay, release: 0.02 },
+  }).connect(hatHp)
+  const chh = makeHat(0.05)
+  const ohh = makeHat(0.45)
+
+  const makeTom = (volume) => new Tone.MembraneSynth({
+    pitchDecay: 0.08, octaves: 2.5, volume,
+    envelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.1 },
+  }).connect(out)
+  const tomLo = makeTom(-8)
+  const tomHi = makeTom(-9)
+
+  const nodes = [kick, snareBody, snareHp, snareNoise, clapBp, clap, rim, hatHp, chh, ohh, tomLo, tomHi, out]
+  const ringsUntil = new Map() // drum -> audio time its latest hit dies out
+
+  // Tone sources refuse a start that isn't after the previous one, so keep
+  // each drum's hits strictly increasing (same-time double hits nudge by 1ms)
+  const lastAt = new Map()
+
+  // velocity 0..1
+  const trigger = (drum, time, velocity = 1) => {
+    const want = Number.isFinite(time) ? time : Tone.now()
+    const t = Math.max(want, (lastAt.get(drum) ?? -Infinity) + 0.001)
+    lastAt.set(drum, t + (drum === 'clap' ? 0.024 : 0))
+    const v = Math.min(1, Math.max(0, velocity))
+    switch (drum) {
+      case 'kick':  kick.triggerAttackRelease('C1', 0.3, t, v); break
+      case 'snare':
+        snareBody.triggerAttackRelease('G2', 0.1, t, v)
+        snareNoise.triggerAttackRelease(0.15, t, v)
+        break
+      case 'clap':
+        // a few fast bursts, then the tail
+        for (const [dt, d] of [[0, 0.01], [0.012, 0.01], [0.024, 0.08]]) clap.triggerAttackRelease(d, t + dt, v)
+        break
+      case 'rim':   rim.triggerAttackRelease('E4', 0.03, t, v); break
+      case 'chh':
+        ohh.triggerRelease(t) // choke
+        if ((ringsUntil.get('ohh') ?? 0) > t) ringsUntil.set('ohh', t + 0.02)
+        chh.triggerAttackRelease(0.05, t, v * 0.8)
+        break
+      case 'ohh':   ohh.triggerAttackRelease(0.4, t, v * 0.8); break
+      case 'tomLo': tomLo.triggerAttackRelease('G1', 0.25, t, v); break
+      case 'tomHi': tomHi.triggerAttackRelease('D2', 0.2, t, v); break
+      default: return false
+    }
+    ringsUntil.set(drum, t + RING[drum])
+    return true
+  }
+
+  // Drums still sounding at `now` (each drum is one voice: it retriggers itself)
+  const active = (now) => {
+    let n = 0
+    for (const end of ringsUntil.values()) if (end > now) n++
+    return n
+  }
+
+  const dispose = () => {
+    for (const n of nodes) {
+      try { n.dispose() } catch { /* already disposed */ }
+    }
+  }
+
+  return { trigger, active, dispose }
+}
@@ -0,0 +1,181 @@
+// src/audio/effects.js
+// Insert effects rack: effect registry + a chain that can be re-synced from
+// plain data ({ id, type, params }) whenever the user adds, removes, reorders
+// or tweaks an effect. Used per track bus and on the master.
+import * as Tone from 'tone'
+import { beatsToSeconds } from './timing'
+
+export const MAX_RACK_SIZE = 4
+
+// Tempo-synced delay times
+export const DELAY_DIVISIONS = [
+  { id: '4n',  label: '1/4',  beats: 1 },
+  { id: '8n.', label: '1/8.', beats: 3 / 4 },
+  { id: '8n',  label: '1/8',  beats: 1 / 2 },
+  { id: '8t',  label: '1/8T', beats: 1 / 3 },
+  { id: '16n', label: '1/16', beats: 1 / 4 },
+]
+
+const pct = (v) => `${Math.round(v * 100)}%`
+const wetParam = { key: 'wet', label: 'Mix', range: [0, 1], default: 0.35, format: pct }
+
+/**
+ * Each effect lists its editable params (shown as dials on the rack panel)
+ * plus `create()` and `apply(node, params, ctx)` where ctx = { bpm }.
+ */
+export const EFFECTS = {
+  delay: {
+    label: 'Delay',
+    params: [
+      { key: 'division', label: 'Time', range: [0, DELAY_DIVISIONS.length - 1], step: 1, default: 2,
+        format: (v) => DELAY_DIVISIONS[Math.round(v)]?.label ?? '' },
+      { key: 'feedback', label: 'Fdbk', range: [0, 0.9], default: 0.35, format: pct },
+      wetParam,
+    ],
+    create: () => new Tone.FeedbackDelay({ delayTime: 0.25, feedback: 0.35, maxDelay: 2 }),
+    apply: (node, p, { bpm }) => {
+      const div = DELAY_DIVISIONS[Math.round(p.division)] ?? DELAY_DIVISIONS[2]
+      node.delayTime.value = Math.min(2, beatsToSeconds(div.beats, bpm))
+      node.feedback.value = p.feedback
+      node.wet.value = p.wet
+    },
+  },
+  chorus: {
+    label: 'Chorus',
+    params: [
+      { key: 'frequency', label: 'Rate', range: [0.1, 8], default: 1.5, format: (v) => `${v.toFixed(1)}Hz` },
+      { key: 'depth', label: 'Depth', range: [0, 1], default: 0.6, format: pct },
+      wetParam,
+    ],
+    create: () => new Tone.Chorus({ frequency: 1.5, delayTime: 3.5, depth: 0.6 }).start(),
+    apply: (node, p) => {
+      node.frequency.value = p.frequency
+      node.depth = p.depth
+      node.wet.value = p.wet
+    },
+  },
+  phaser: {
+    label: 'Phaser',
+    params: [
+      { key: 'frequency', label: 'Rate', range: [0.1, 8], default: 0.5, format: (v) => `${v.toFixed(1)}Hz` },
+      { key: 'octaves', label: 'Depth', range: [1, 6], default: 3, format: (v) => `${v.toFixed(1)}oct` },
+      wetParam,
+    ],
+    create: () => new Tone.Phaser({ frequency: 0.5, octaves: 3, baseFrequency: 350 }),
+    apply: (node, p) => {
+      node.frequency.value = p.frequency
+      node.octaves = p.octaves
+      node.wet.value = p.wet
+    },
+  },
+  distortion: {
+    label: 'Distortion',
+    params: [
+      { key: 'distortion', label: 'Drive', range: [0, 1], default: 0.4, format: pct },
+      wetParam,
+    ],
+    create: () => new Tone.Distortion({ distortion: 0.4, oversample: '2x' }),
+    apply: (node, p) => {
+      node.distortion = p.distortion
+      node.wet.value = p.wet
+    },
+  },
+  bitcrusher: {
+    label: 'Bitcrusher',
+    params: [
+      { key: 'bits', label: 'Bits', range: [1, 16], step: 1, default: 6, format: (v) => `${Math.round(v)}` },
+      wetParam,
+    ],
+    create: () => new Tone.BitCrusher({ bits: 6 }),
+    apply: (node, p) => {
+      node.bits.value = Math.round(p.bits)
+      node.wet.value = p.wet
+    },
+  },
+}
+export const EFFECT_TYPES = Object.keys(EFFECTS)
+
+const clampParam = (def, v) => {
+  const [lo, hi] = def.range
+  const n = Number.isFinite(v) ? v : def.default
+  const c = Math.min(hi, Math.max(lo, n))
+  return def.step ? Math.round(c / def.step) * def.step : c
+}
+
+// Params with defaults filled in and ranges enforced
+export function effectParams(type, params = {}) {
+  const def = EFFECTS[type]
+  if (!def) return {}
+  return Object.fromEntries(def.params.map(p => [p.key, clampParam(p, params?.[p.key])]))
+}
+
+let nextId = 0
+export const makeEffect = (type) => ({
+  id: `${type}-${Date.now().toString(36)}-${(nextId++).toString(36)}`,
+  type,
+  params: effectParams(type),
+})
+
+export const makeDefaultRacks = () => ({ master: [], tracks: Array.from({ length: 5 }, () => []) })
+
+const normalizeRack = (list) => (Array.isArray(list) ? list : [])
+  .filter(fx => fx && EFFECTS[fx.type] && typeof fx.id === 'string')
+  .slice(0, MAX_RACK_SIZE)
+  .map(fx => ({ id: fx.id, type: fx.type, params: effectParams(fx.type, fx.params) }))
+
+export function normalizeRacks(racks) {
+  return {
+    master: normalizeRack(racks?.master),
+    tracks: Array.from({ length: 5 }, (_, t) => normalizeRack(racks?.tracks?.[t])),
+  }
+}
+
+/**
+ * Insert chain between `input` and `output`:
+ *   input → fx[0] → fx[1] → … → output   (input → output when empty)
+ * `sync(list, ctx)` keeps Tone nodes for effects whose id survived, builds new
+ * ones, disposes removed ones and rewires only when the order changed.
+ */
+export function createEffectsRack(input, output) {
+  let nodes = new Map() // id -> { type, node }
+  let order = null      // ids in current wiring order
+
+  const rewire = (ids) => {
+    input.disconnect()
+    for (const id of ids) nodes.get(id).node.disconnect()
+    const chain = [input, ...ids.map(id => nodes.get(id).node), output]
+    for (let i = 0; i < chain.length - 1; i++) chain[i].connect(chain[i + 1])
+    order = ids
+  }
+
+  const sync = (list = [], ctx = {}) => {
+    const rack = normalizeRack(list)
+    const next = new Map()
+    for (const fx of rack) {
+      const prev = nodes.get(fx.id)
+      const entry = prev && prev.type === fx.type ? prev : { type: fx.type, node: EFFECTS[fx.type].create() }
+      EFFECTS[fx.type].apply(entry.node, fx.params, ctx)
+      next.set(fx.id, entry)
+    }
+    const ids = rack.map(fx => fx.id)
+    const removed = [...nodes.entries()].filter(([id, e]) => next.get(id) !== e)
+    const reordered = !order || ids.length !== order.length || ids.some((id, i) => id !== order[i])
+
+    nodes = next
+    if (reordered || removed.length) rewire(ids)
+    for (const [, e] of removed) {
+      try { e.node.dispose() } catch { /* already disposed */ }
+    }
+  }
+
+  const dispose = () => {
+    for (const { node } of nodes.values()) {
+      try { node.dispose() } catch { /* already disposed */ }
+    }
+    nodes = new Map()
+    order = null
+  }
+
+  sync([])
+  return { sync, dispose }
+}
@@ -0,0 +1,555 @@
+// src/audio/engine.js
+// The app's one audio engine: master bus, track buses, drum kits and voice
+// creation. Everything that makes sound goes through here, so master level,
+// insert effects, compression and limiting cover all of it.
+//
+//   live voices / kits → Freeverb ─┐
+//   track buses (see trackBus) ────┴→ masterIn → master rack → comp → volume → limiter → out
+import * as Tone from 'tone'
+import { envOctaves, keyTrackedCutoff } from './filter'
+import { oscillatorOptions } from './oscillator'
+import { createTrackBus } from './trackBus'
+import { createSidechain } from './sidechain'
+import { createEffectsRack } from './effects'
+import { startVoiceLfos } from './lfo'
+import { createDrumKit } from './drumKit'
+import { createSampleSource } from './samples'
+import { createVoiceAllocator } from './voiceAllocator'
+import { SLIDE_TIME } from './glide'
+import { createClick } from './metronome'
+import { createLoudnessMeter, CLIP_DB } from './loudness'
+import { clampVelocity, velocityCutoff } from './velocity'
+import { MASTER_STRIP_DEFAULTS, faderDb } from './mixer'
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v))
+const atLeast = (v, m) => (Number.isFinite(v) ? Math.max(m, v) : m)
+const midiHz = (midi) => 440 * Math.pow(2, (midi - 69) / 12)
+const EMPTY_RACK = []
+const STEAL_FADE = 0.008 // seconds; short enough to retrigger fast, long enough not to click
+
+export const MASTER_DEFAULTS = { reverbMix: 0.25, reverbRoomSize: 0.3 }
+
+// Recorded snapshot over live defaults: only known, non-null keys override
+export function mergeVoiceParams(defaults, params) {
+  const merged = { ...defaults }
+  for (const [k, v] of Object.entries(params ?? {})) {
+    if (v != null && k in merged) merged[k] = v
+  }
+  return merged
+}
+
+/**
+ * `offline: true` builds the engine inside a Tone.Offline render: no context
+ * resume, and voices are left for the render to finish instead of being
+ * disposed on wall-clock timers.
+ */
+export function createAudioEngine({ offline = false } = {}) {
+  const freeverb = new Tone.Freeverb({
+    roomSize: MASTER_DEFAULTS.reverbRoomSize,
+    dampening: 3000,
+    wet: MASTER_DEFAULTS.reverbMix,
+  })
+  const masterIn = new Tone.Gain(1)
+  const comp = new Tone.Compressor({ threshold: -12, ratio: 3, attack: 0.003, release: 0.25 })
+  const masterVol = new Tone.Volume(MASTER_STRIP_DEFAULTS.volume)
+  const limiter = new Tone.Limiter(-1)
+  const masterMeter = new Tone.Meter({ smoothing: 0.8 })
+  const masterRack = createEffectsRack(masterIn, comp)
+
+  freeverb.connect(masterIn)
+  comp.connect(masterVol)
+  masterVol.connect(limiter)
+  limiter.toDestination()
+  limiter.connect(masterMeter)
+
+  const trackBuses = new Map() // track key -> bus (see createTrackBus)
+  const drumKits = new Map()   // track key | 'live' -> drum kit
+  const heldVoices = new Map() // noteOn id -> voice[]
+  const monoVoices = new Map() // track key | 'live' -> mono voice (see glide)
+  let trackRacks = null
+  let trackMixes = null
+  let bpm = 120
+
+  // Polyphony limit + stealing (see voiceAllocator)
+  const voices = createVoiceAllocator({ steal: (entry, at) => entry.handle.steal(at) })
+
+  let started = offline
+  const ensureStarted = async () => {
+    if (started) return
+    started = true
+    try { await Tone.start() } catch { /* retried by the next gesture */ started = false }
+  }
+
+  // ───────── Master ─────────
+  // Master fader in dB (see audio/mixer)
+  const setMasterVolume = (volume) => { masterVol.volume.linearRampTo(faderDb(volume), 0.02) }
+  const setLiveReverb = ({ reverbMix, reverbRoomSize } = {}) => {
+    if (Number.isFinite(reverbMix)) freeverb.wet.value = clamp01(reverbMix)
+    if (Number.isFinite(reverbRoomSize)) freeverb.roomSize.value = clamp01(reverbRoomSize)
+  }
+  const setMasterFx = (list, opts = {}) => {
+    if (Number.isFinite(opts.bpm)) bpm = opts.bpm
+    masterRack.sync(list ?? EMPTY_RACK, { bpm })
+  }
+
+  // ───────── Track buses ─────────
+  // Created on first use; numeric tracks pick up their insert rack and mixer channel
+  const getTrackBus = (track) => {
+    let bus = trackBuses.get(track)
+    if (!bus) {
+      bus = createTrackBus(masterIn, MASTER_DEFAULTS)
+      bus.rack.sync(trackRacks?.[track] ?? EMPTY_RACK, { bpm })
+      if (trackMixes?.[track]) bus.setMix(trackMixes[track], 0)
+      trackBuses.set(track, bus)
+    }
+    return bus
+  }
+  const setTrackRacks = (racks, opts = {}) => {
+    trackRacks = racks
+    if (Number.isFinite(opts.bpm)) bpm = opts.bpm
+    for (const [t, bus] of trackBuses) bus.rack.sync(racks?.[t] ?? EMPTY_RACK, { bpm })
+  }
+  // Mixer channels of the track buses: [{ volume (dB), pan }]
+  const setTrackMixes = (mixes) => {
+    trackMixes = mixes
+    for (const [t, bus] of trackBuses) if (mixes?.[t]) bus.setMix(mixes[t])
+  }
+  // Sidechain ducking between track buses: { source, attack, release, amounts } (see mixer's sidechainOf)
+  const sidechain = createSidechain(getTrackBus)
+  const setSidechain = (sc) => sidechain.sync(sc)
+  // Move a track's reverb send/room at an audio-clock time
+  const setTrackFx = (track, fx, time) => getTrackBus(track).set(fx, time)
+
+  const destinationFor = (track) => (track == null || track === 'live' ? freeverb : getTrackBus(track).input)
+
+  // ───────── Drums ─────────
+  const triggerDrum = async (drum, time, opts = {}) => {
+    await ensureStarted()
+    const key = opts.track ?? 'live'
+    let kit = drumKits.get(key)
+    if (!kit) {
+      kit = createDrumKit(destinationFor(key))
+      drumKits.set(key, kit)
+    }
+    return kit.trigger(drum, time, opts.velocity ?? 1)
+  }
+
+  // ───────── Voices ─────────
+  // Voice chain: osc | sample → filter (+ envelope) → amp env → [amp LFOs] → gain → dest.
+  // Connected and started at `now`; the caller triggers the envelopes.
+  const buildChain = (params, midi, now, dest, velocity) => {
+    const env = new Tone.AmplitudeEnvelope({
+      attack : atLeast(params.attack, 0.001),
+      decay  : atLeast(params.decay , 0.01),
+      sustain: clamp01(params.sustain),
+      release: atLeast(params.release, 0.02),
+      attackCurve: 'sine',
+      releaseCurve: 'exponential',
+    })
+    // Sampled voices play the trimmed buffer region pitched from its root note
+    const sampled = params.sample?.zones?.length ? createSampleSource(params.sample, midi) : null
+    const osc = sampled ? sampled.source : new Tone.OmniOscillator(oscillatorOptions(params, midiHz(midi)))
+    const voiceGain = new Tone.Gain(clamp01(params.level ?? 1))
+
+    // Filter: cutoff follows the key and the velocity, the filter envelope sweeps it upwards
+    const keyed = keyTrackedCutoff(atLeast(params.filterCutoff, 20), params.filterKeyTrack, midi)
+    const cutoff = Math.max(20, velocityCutoff(keyed, velocity, params.filterVelocity))
+    const filter = new Tone.Filter({
+      type: params.filterType ?? 'lowpass',
+      frequency: cutoff,
+      Q: Math.max(0.0001, params.filterQ ?? 0.7),
+      rolloff: -12,
+    })
+    const octaves = envOctaves(cutoff, params.filterEnvAmount)
+    const filterEnv = octaves > 0
+      ? new Tone.FrequencyEnvelope({
+          baseFrequency: cutoff,
+          octaves,
+          attack : atLeast(params.filterAttack, 0.001),
+          decay  : atLeast(params.filterDecay , 0.01),
+          sustain: clamp01(params.filterSustain ?? 0.5),
+          release: atLeast(params.filterRelease, 0.02),
+        })
+      : null
+    if (filterEnv) filterEnv.connect(filter.frequency)
+
+    osc.connect(filter)
+    filter.connect(env)
+    voiceGain.connect(dest)
+
+    // LFOs modulate osc detune / filter detune, amp LFOs sit between env and voiceGain
+    const lfoNodes = startVoiceLfos(params.lfos, now, { osc, filter, ampIn: env, ampOut: voiceGain })
+
+    if (sampled) osc.start(now, sampled.offset)
+    else osc.start(now)
+
+    const nodes = [osc, env, voiceGain, filter, filterEnv, ...lfoNodes]
+    return { osc, sampled, env, filterEnv, voiceGain, nodes }
+  }
+  const disposeNodes = (nodes) => {
+    for (const n of nodes) {
+      try { n?.dispose() } catch { /* already disposed */ }
+    }
+  }
+
+  // One poly voice, released once; `velocity` scales the envelope peak
+  const buildVoice = (params, midi, now, dest, velocity) => {
+    const { osc, sampled, env, filterEnv, voiceGain, nodes } = buildChain(params, midi, now, dest, velocity)
+    env.triggerAttack(now, velocity)
+    filterEnv?.triggerAttack(now)
+
+    const tail = Math.max(0, params.cleanupEps ?? 0.03)
+
+    // One disposal timer per voice, moved earlier when the voice is stolen
+    let disposeTimer = null
+    let stolen = false
+    const stopAndDispose = (stopTime) => {
+      osc.stop(sampled ? Math.min(stopTime, now + sampled.length) : stopTime)
+      if (offline) return
+      clearTimeout(disposeTimer)
+      disposeTimer = setTimeout(() => disposeNodes(nodes), (stopTime - Tone.now() + 0.06) * 1000)
+    }
+
+    // Release at `at`; fades the voice gain out after the envelope tail and
+    // disposes every node once it is silent. Returns the stop time.
+    const release = (at) => {
+      if (stolen) return at
+      env.triggerRelease(at)
+      filterEnv?.triggerRelease(at)
+      const stopAt = at + Number(env.release ?? 0.25) + tail
+
+      const vg = voiceGain.gain
+      vg.cancelScheduledValues(at)
+      vg.setValueAtTime(vg.value, at)
+      const microRampEnd = stopAt + 0.012
+      vg.linearRampToValueAtTime(0, microRampEnd)
+
+      stopAndDispose(microRampEnd + 0.01)
+      return stopAt
+    }
+
+    // Stolen: a short fade from wherever the gain is at `at` (no click)
+    const steal = (at) => {
+      stolen = true
+      const vg = voiceGain.gain
+      vg.cancelAndHoldAtTime(at)
+      vg.linearRampToValueAtTime(0, at + STEAL_FADE)
+      stopAndDispose(at + STEAL_FADE + 0.005)
+    }
+
+    return { release, steal }
+  }
+
+  // Mono/legato: one long-lived voice per bus. Notes move its pitch (gliding
+  // when asked) and re-use its envelopes; it is disposed once it falls silent.
+  // Its filter keeps the velocity of the note that started it.
+  const buildMonoVoice = (params, midi, at, dest, velocity, onIdle) => {
+    const { osc, env, filterEnv, voiceGain, nodes } = buildChain(params, midi, at, dest, velocity)
+    const tail = Math.max(0, params.cleanupEps ?? 0.03)
+    let releaseAt = -Infinity // end of the latest note
+    let playedAny = false
+    let disposeTimer = null
+
+    const disposeAt = (stopTime) => {
+      clearTimeout(disposeTimer)
+      disposeTimer = setTimeout(() => { disposeNodes(nodes); onIdle() }, (stopTime - Tone.now() + 0.06) * 1000)
+    }
+
+    // `legato` keeps the envelopes running while the previous note is still
+    // held; `glide` > 0 slides from the previous pitch. A retriggered note
+    // attacks at its `velocity`. Returns the stop time.
+    const play = (midi, noteAt, endAt, { legato, glide, velocity }) => {
+      const f = osc.frequency
+      if (playedAny && glide > 0) {
+        f.cancelAndHoldAtTime(noteAt)
+        f.exponentialRampToValueAtTime(midiHz(midi), noteAt + glide)
+      } else {
+        f.cancelScheduledValues(noteAt)
+        f.setValueAtTime(midiHz(midi), noteAt)
+      }
+      if (legato && noteAt < releaseAt) {
+        env.cancel(noteAt) // drops the pending release
+        filterEnv?.cancel(noteAt)
+      } else {
+        env.triggerAttack(noteAt, velocity)
+        filterEnv?.triggerAttack(noteAt)
+      }
+      env.triggerRelease(endAt)
+      filterEnv?.triggerRelease(endAt)
+      releaseAt = endAt
+      playedAny = true
+
+      const stopAt = endAt + Number(env.release ?? 0.25) + tail
+      if (!offline) disposeAt(stopAt)
+      return stopAt
+    }
+
+    // Replaced by a voice with a different sound (or stolen): short fade,
+    // then gone. Returns the stop time.
+    const fadeOut = (fadeAt) => {
+      const vg = voiceGain.gain
+      const stopAt = fadeAt + STEAL_FADE + 0.005
+      vg.cancelAndHoldAtTime(fadeAt)
+      vg.linearRampToValueAtTime(0, fadeAt + STEAL_FADE)
+      osc.stop(stopAt)
+      if (!offline) disposeAt(stopAt)
+      return stopAt
+    }
+
+    return { play, fadeOut }
+  }
+
+  // What a voice sounds like, minus how it is played
+  const soundOf = (params) => JSON.stringify({ ...params, sample: undefined, voiceMode: undefined, glide: undefined })
+
+  const playMono = (params, midi, at, endAt, opts) => {
+    const key = opts.track ?? 'live'
+    const velocity = clampVelocity(opts.velocity)
+    const sound = soundOf(params)
+    const dest = destinationFor(opts.track)
+    let mono = monoVoices.get(key)
+    if (mono && mono.sound !== sound) {
+      voices.update(mono.entry, { stopAt: mono.fadeOut(at) })
+      mono = null
+    }
+    if (!mono) {
+      const voice = buildMonoVoice(params, midi, at, dest, velocity, () => {
+        if (monoVoices.get(key) === voice) monoVoices.delete(key)
+      })
+      voice.sound = sound
+      monoVoices.set(key, voice)
+      mono = voice
+    }
+    // a slide step always glides legato into the previous note
+    const legato = opts.slide || params.voiceMode === 'legato'
+    const glide = opts.slide ? (params.glide || SLIDE_TIME) : params.voiceMode === 'poly' ? 0 : params.glide ?? 0
+    // The allocator counts the mono voice while it sounds; a note that wakes
+    // it after it fell silent is a new voice (which may steal, or be stolen)
+    if (!mono.entry || mono.entry.stopAt <= at) {
+      const voice = mono
+      const steal = (stealAt) => {
+        voice.fadeOut(stealAt)
+        if (monoVoices.get(key) === voice) monoVoices.delete(key)
+      }
+      mono.entry = track({ steal }, params, midi, dest, at, velocity)
+    }
+    const stopAt = mono.play(midi, at, endAt, { legato, glide, velocity })
+    voices.update(mono.entry, { midi, releaseAt: endAt, stopAt })
+    return stopAt
+  }
+
+  // Allocator entry for a voice built from `params`, played at `velocity`
+  const track = (handle, params, midi, dest, startAt, velocity) => voices.add({
+    handle, midi, dest, startAt,
+    releaseAt: Infinity,
+    stopAt: Infinity,
+    level: clamp01(params.level ?? 1) * velocity,
+    env: {
+      attack: atLeast(params.attack, 0.001),
+      decay: atLeast(params.decay, 0.01),
+      sustain: clamp01(params.sustain ?? 1),
+      release: atLeast(params.release, 0.02),
+    },
+  })
+
+  /**
+   * Play `midi` for `durationSec` at audio-clock `time` (omit to play now).
+   * `opts.track` routes the voice into that track's bus, otherwise it goes to
+   * the live Freeverb. The allocator decides which voice gives way when the
+   * polyphony limit is reached.
+   * Mono/legato params (see glide), `opts.slide` (glide legato into the
+   * previous note) and `opts.mono` (hold the bus's mono voice, e.g. for a
+   * following slide) play on the bus's single mono voice instead.
+   * `opts.velocity` (0..1, see velocity) scales the note's level and cutoff.
+   */
+  const playVoice = async (params, midi, durationSec, time, opts = {}) => {
+    if (midi == null) return false
+    await ensureStarted()
+
+    const now = Number.isFinite(time) ? time : Tone.now()
+    const releaseAt = now + atLeast(durationSec ?? 0.5, 0.01)
+    const mono = opts.slide || opts.mono || (params.voiceMode ?? 'poly') !== 'poly'
+    if (mono && !params.sample?.zones?.length) { // sampled voices stay poly
+      playMono(params, midi, now, releaseAt, opts)
+      return true
+    }
+
+    const velocity = clampVelocity(opts.velocity)
+    const dest = destinationFor(opts.track)
+    const handle = buildVoice(params, midi, now, dest, velocity)
+    const entry = track(handle, params, midi, dest, now, velocity)
+    voices.update(entry, { releaseAt, stopAt: handle.release(releaseAt) })
+    return true
+  }
+
+  // Held voices (keyboards): sound until noteOff with the same id. A press
+  // still waiting for the audio context to start is only marked when its key
+  // comes up, so it never starts (instead of starting with nothing to stop it).
+  const startingNotes = new Map() // noteOn id -> presses waiting on ensureStarted
+  const noteOn = async (id, params, midi, opts = {}) => {
+    if (midi == null) return
+    const press = { released: false }
+    if (!startingNotes.has(id)) startingNotes.set(id, [])
+    const waiting = startingNotes.get(id)
+    waiting.push(press)
+    await ensureStarted()
+    waiting.splice(waiting.indexOf(press), 1)
+    if (!waiting.length) startingNotes.delete(id)
+    if (press.released) return
+    const now = Tone.now()
+    const velocity = clampVelocity(opts.velocity)
+    const dest = destinationFor(opts.track)
+    const handle = buildVoice(params, midi, now, dest, velocity)
+    if (!heldVoices.has(id)) heldVoices.set(id, [])
+    heldVoices.get(id).push(track(handle, params, midi, dest, now, velocity))
+  }
+  const noteOff = (id) => {
+    const waiting = startingNotes.get(id)?.filter(p => !p.released)
+    if (waiting?.length) { waiting[waiting.length - 1].released = true; return }
+    const entry = heldVoices.get(id)?.pop()
+    if (!entry) return
+    const at = Tone.now()
+    voices.update(entry, { releaseAt: at, stopAt: entry.handle.release(at) })
+  }
+
+  // Polyphony settings ({ maxVoices, policy }) and the live voice count.
+  // Drum hits play on each kit's fixed per-drum synths, which never stack,
+  // so they are counted on their own and outside the limit.
+  const setVoiceLimits = (limits) => voices.configure(limits)
+  const activeVoices = () => voices.active(Tone.now())
+  const activeDrums = () => {
+    let n = 0
+    for (const kit of drumKits.values()) n += kit.active(Tone.now())
+    return n
+  }
+
+  // ───────── Capture / audition ─────────
+  // Records the post-limiter master (everything that is heard) with MediaRecorder
+  let recorder = null
+  const startCapture = async () => {
+    if (offline || !Tone.Recorder.supported) return false
+    await ensureStarted()
+    if (!recorder) {
+      recorder = new Tone.Recorder()
+      limiter.connect(recorder)
+    }
+    if (recorder.state !== 'started') await recorder.start()
+    return true
+  }
+  // Resolves to the take's Blob (null if nothing was recording)
+  const stopCapture = async () => (recorder?.state === 'started' ? recorder.stop() : null)
+
+  // Takes are auditioned straight to the speakers, outside the master chain.
+  // Every play/stop bumps the request, so a take still starting up or loading
+  // when Stop is pressed (or another take is picked) never starts.
+  let audition = null
+  let takeRequest = 0
+  const stopTake = () => {
+    takeRequest++
+    audition?.stop()
+  }
+  const playTake = async (url, onEnded) => {
+    stopTake()
+    const request = takeRequest
+    await ensureStarted()
+    if (request !== takeRequest) return
+    const player = new Tone.Player().toDestination()
+    audition = player
+    try {
+      await player.load(url)
+    } catch (err) {
+      if (audition === player) audition = null
+      player.dispose()
+      throw err
+    }
+    if (request !== takeRequest) {
+      if (audition === player) audition = null
+      player.dispose()
+      return
+    }
+    player.onstop = () => {
+      if (audition === player) audition = null
+      onEnded?.()
+      setTimeout(() => player.dispose(), 0)
+    }
+    player.start()
+  }
+
+  // ───────── Metronome ─────────
+  // Clicks bypass the master chain (see metronome); nothing to click offline
+  let clicker = null
+  const click = async (time, opts) => {
+    if (offline) return
+    await ensureStarted()
+    if (!clicker) clicker = createClick()
+    clicker.trigger(Number.isFinite(time) ? time : Tone.now(), opts)
+  }
+
+  // ───────── Analysis ─────────
+  // Spectrum + waveform taps on the master (or a track's post-fader output).
+  // Only connected while a display asks for them; getValue() reuses its arrays.
+  const createScope = (target = 'master', { fftSize = 256, waveSize = 256 } = {}) => {
+    const source = target === 'master' ? limiter : getTrackBus(target).output
+    const fft = new Tone.Analyser({ type: 'fft', size: fftSize, smoothing: 0.7 })
+    const wave = new Tone.Analyser({ type: 'waveform', size: waveSize })
+    source.connect(fft)
+    source.connect(wave)
+    return {
+      spectrum: () => fft.getValue(), // dB per bin
+      waveform: () => wave.getValue(), // -1..1
+      dispose: () => {
+        for (const a of [fft, wave]) {
+          try { source.disconnect(a) } catch { /* source already gone */ }
+          a.dispose()
+        }
+      },
+    }
+  }
+
+  // Meter readings in dBFS (-Infinity for a bus that never played)
+  const trackLevel = (track) => trackBuses.get(track)?.meter.getValue() ?? -Infinity
+  const masterLevel = () => masterMeter.getValue()
+
+  // Master loudness and gain reduction (see loudness). The meter taps the
+  // master once something first asks: loudness after the limiter, peak before
+  // it, so a clip the limiter catches still latches (until reset). Read it
+  // every frame so no window goes unchecked. Returns one reused object, so
+  // copy it before keeping it in React state.
+  let loudness = null
+  const stats = { clipped: false }
+  const masterStats = () => {
+    if (!loudness) loudness = createLoudnessMeter(limiter, masterVol)
+    Object.assign(stats, loudness.read())
+    stats.compReduction = -comp.reduction
+    stats.limiterReduction = -limiter.reduction
+    if (stats.peak >= CLIP_DB) stats.clipped = true
+    return stats
+  }
+  const resetClip = () => { stats.clipped = false }
+
+  const dispose = () => {
+    stopTake()
+    clicker?.dispose()
+    loudness?.dispose()
+    recorder?.dispose()
+    for (const kit of drumKits.values()) kit.dispose()
+    sidechain.dispose()
+    for (const bus of trackBuses.values()) bus.dispose()
+    masterRack.dispose()
+    for (const n of [freeverb, masterIn, comp, masterVol, limiter, masterMeter]) {
+      try { n.dispose() } catch { /* already disposed */ }
+    }
+  }
+
+  return {
+    ensureStarted,
+    setMasterVolume, setLiveReverb, setMasterFx, setTrackRacks, setTrackFx, setTrackMixes, setSidechain,
+    triggerDrum, playVoice, noteOn, noteOff,
+    setVoiceLimits, activeVoices, activeDrums, trackLevel, masterLevel, masterStats, resetClip,
+    startCapture, stopCapture, playTake, stopTake,
+    click,
+    createScope,
+    output: limiter, // post-limiter master, for metering / capture
+    dispose,
+  }
+}
@@ -0,0 +1,5 @@
+// src/audio/engineContext.js
+import { createContext } from 'react'
+
+// The single audio engine (see audio/engine), provided by <AudioEngineProvider>
+export const AudioEngineContext = createContext(null)
@@ -0,0 +1,40 @@
+// src/audio/filter.js
+// Per-voice filter section: parameters, defaults and the cutoff math shared by
+// the live pads, the recorder playback and saved instruments.
+
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass']
+
+export const CUTOFF_RANGE = [40, 18000]   // Hz
+export const Q_RANGE = [0.1, 18]
+export const ENV_AMOUNT_RANGE = [0, 6]     // octaves above the cutoff at envelope peak
+export const MAX_FILTER_HZ = 20000
+
+export const FILTER_DEFAULTS = {
+  filterType: 'lowpass',
+  filterCutoff: 12000,
+  filterQ: 0.7,
+  filterKeyTrack: 0,       // 0..1, 1 = cutoff follows pitch 1:1
+  filterEnvAmount: 0,
+  filterVelocity: 0,       // 0..1, how far soft notes close the cutoff (see velocity)
+  filterAttack: 0.01,
+  filterDecay: 0.2,
+  filterSustain: 0.5,
+  filterRelease: 0.3,
+}
+export const FILTER_KEYS = Object.keys(FILTER_DEFAULTS)
+
+// The filter fields of a synth/settings object, with defaults filled in
+export const pickFilter = (src) =>
+  Object.fromEntries(FILTER_KEYS.map(k => [k, src?.[k] ?? FILTER_DEFAULTS[k]]))
+
+// Cutoff after key tracking, relative to C4 (midi 60)
+export function keyTrackedCutoff(cutoff, keyTrack, midi) {
+  const [lo] = CUTOFF_RANGE
+  const track = Math.min(1, Math.max(0, Number(keyTrack) || 0))
+  const hz = cutoff * Math.pow(2, ((midi - 60) / 12) * track)
+  return Math.min(MAX_FILTER_HZ, Math.max(lo, hz))
+}
+
+// Envelope depth in octaves, limited so the sweep never passes MAX_FILTER_HZ
+export const envOctaves = (baseHz, amount) =>
+  Math.max(0, Math.min(Number(amount) || 0, Math.log2(MAX_FILTER_HZ / baseHz)))
@@ -0,0 +1,46 @@
+// src/audio/gate.js
+// Note length on the step grid. A note's `steps` (gate length in steps) wins
+// over its recorded length in beats. A note flagged `tie` continues the same
+// pitch from the step before instead of retriggering, so a chain of ties holds
+// one note across slot boundaries; it ends at the last tied note's own gate.
+// Ties never cross the loop end.
+import { noteSeconds } from './timing'
+
+export const GATE_RANGE = [0.25, 16] // steps
+export const GATE_STEP = 0.25
+
+export const clampGate = (steps) =>
+  Math.min(GATE_RANGE[1], Math.max(GATE_RANGE[0], Math.round(steps / GATE_STEP) * GATE_STEP))
+
+const isNote = (ev) => typeof ev?.midi === 'number' && !ev.drum
+const findNote = (slot, midi) => slot?.find(ev => isNote(ev) && ev.midi === midi)
+
+// Own length of one note in seconds (ignoring ties)
+export const gateSeconds = (ev, bpm, stepSec) =>
+  (Number.isFinite(ev?.steps) ? clampGate(ev.steps) * stepSec : noteSeconds(ev, bpm, stepSec))
+
+// Own length of one note in steps (ignoring ties)
+export const gateStepsOf = (ev, bpm, stepSec) => gateSeconds(ev, bpm, stepSec) / stepSec
+
+// `ev` in slot `s` continues a note from the previous slot of `track`
+export const isTied = (track, s, ev) => !!ev?.tie && s > 0 && isNote(ev) && !!findNote(track?.[s - 1], ev.midi)
+
+// The last note of the tie chain starting at `ev` in slot `s`, and how many
+// slots later it sits
+export function tieEnd(track, s, ev) {
+  let last = ev, k = 0
+  while (s + k + 1 < (track?.length ?? 0)) {
+    const next = findNote(track[s + k + 1], ev.midi)
+    if (!next?.tie) break
+    last = next
+    k++
+  }
+  return { last, k }
+}
+
+// Whole held length of the note starting at `ev` in slot `s`, ties included
+export function heldSeconds(track, s, ev, bpm, stepSec) {
+  if (!isNote(ev)) return gateSeconds(ev, bpm, stepSec)
+  const { last, k } = tieEnd(track, s, ev)
+  return k * stepSec + gateSeconds(last, bpm, stepSec)
+}
@@ -0,0 +1,22 @@
+// src/audio/glide.js
+// Voice modes and portamento. 'poly' gives every note its own voice; 'mono'
+// plays one voice per bus that retriggers on every note; 'legato' keeps the
+// envelope going while the previous note is still held. Both glide to each
+// new pitch over `glide` seconds. A sequencer step flagged `slide` plays
+// legato into the previous note whatever the mode (303-style).
+
+export const VOICE_MODES = ['poly', 'mono', 'legato']
+export const GLIDE_RANGE = [0, 1]  // seconds
+export const SLIDE_TIME = 0.06     // glide of a slide step when portamento is off
+
+export const GLIDE_DEFAULTS = {
+  voiceMode: 'poly',
+  glide: 0,
+}
+export const GLIDE_KEYS = Object.keys(GLIDE_DEFAULTS)
+
+// The voice-mode fields of a synth/settings object, with defaults filled in
+export const pickGlide = (src) => ({
+  voiceMode: VOICE_MODES.includes(src?.voiceMode) ? src.voiceMode : GLIDE_DEFAULTS.voiceMode,
+  glide: Math.min(GLIDE_RANGE[1], Math.max(GLIDE_RANGE[0], Number.isFinite(src?.glide) ? src.glide : GLIDE_DEFAULTS.glide)),
+})
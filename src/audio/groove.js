@@ -0,0 +1,68 @@
+// src/audio/groove.js
+// Swing + groove templates. A groove is a table of per-step timing offsets in
+// fractions of a step (0 = on the grid, 0.5 = half a step late), applied by
+// the scheduler on top of the transport's grid time. Early nudges are
+// scheduled from the step before (see sequencer), so any tempo plays them.
+
+export const SWING_RANGE = [50, 75]        // MPC-style percent
+export const OFFSET_RANGE = [-0.25, 0.5]   // per-step nudge, in steps
+const STEPS = 16
+
+const clampOffset = (v) => Math.min(OFFSET_RANGE[1], Math.max(OFFSET_RANGE[0], Number(v) || 0))
+
+// MPC swing: the off-beat of each step pair lands at `pct`% of the pair
+export const swingOffsets = (pct) => {
+  const [lo, hi] = SWING_RANGE
+  const p = Math.min(hi, Math.max(lo, Number.isFinite(pct) ? pct : lo))
+  const late = (2 * p) / 100 - 1
+  return Array.from({ length: STEPS }, (_, i) => (i % 2 ? late : 0))
+}
+
+export const GROOVES = [
+  { id: 'global',   label: 'Global' }, // follows the recorder's swing dial
+  { id: 'straight', label: 'Straight', offsets: swingOffsets(50) },
+  { id: 'mpc54',    label: 'MPC 54%',  offsets: swingOffsets(54) },
+  { id: 'mpc58',    label: 'MPC 58%',  offsets: swingOffsets(58) },
+  { id: 'mpc62',    label: 'MPC 62%',  offsets: swingOffsets(62) },
+  { id: 'mpc66',    label: 'MPC 66%',  offsets: swingOffsets(66) },
+  { id: 'mpc71',    label: 'MPC 71%',  offsets: swingOffsets(71) },
+  { id: 'mpc75',    label: 'MPC 75%',  offsets: swingOffsets(75) },
+  // loose, drummer-ish feel: backbeats drag, ghost steps rush a touch
+  { id: 'laidback', label: 'Laid back',
+    offsets: [0, 0.08, 0.04, 0.1, 0.12, 0.08, 0.04, 0.1, 0, 0.08, 0.04, 0.1, 0.12, 0.08, 0.04, 0.1] },
+  { id: 'custom',   label: 'Custom' }, // per-step table stored on the track
+]
+
+export const DEFAULT_GROOVE = { id: 'global' }
+export const makeDefaultGrooves = () => Array.from({ length: 5 }, () => ({ ...DEFAULT_GROOVE }))
+
+export const grooveById = (id) => GROOVES.find(g => g.id === id) ?? GROOVES[0]
+
+// Resolve a track groove ({ id, offsets? }) into a 16-step offset table
+export function grooveOffsets(groove, swing) {
+  if (groove?.id === 'custom' && Array.isArray(groove.offsets)) {
+    return Array.from({ length: STEPS }, (_, i) => clampOffset(groove.offsets[i]))
+  }
+  const tpl = grooveById(groove?.id)
+  return tpl.offsets ? [...tpl.offsets] : swingOffsets(swing)
+}
+
+// Seconds to shift `step` by for a track groove at the given step length
+export const grooveDelay = (groove, swing, step, stepSec) =>
+  (grooveOffsets(groove, swing)[step % STEPS] ?? 0) * stepSec
+
+// Edit one step of a track's table; any template becomes a custom copy
+export function nudgeGroove(groove, swing, step, offset) {
+  const offsets = grooveOffsets(groove, swing)
+  offsets[step % STEPS] = clampOffset(offset)
+  return { id: 'custom', offsets }
+}
+
+export function normalizeGrooves(grooves) {
+  if (!Array.isArray(grooves)) return makeDefaultGrooves()
+  return Array.from({ length: 5 }, (_, t) => {
+    const g = grooves[t]
+    if (!g || !GROOVES.some(x => x.id === g.id)) return { ...DEFAULT_GROOVE }
+    return g.id === 'custom' ? { id: 'custom', offsets: grooveOffsets(g, SWING_RANGE[0]) } : { id: g.id }
+  })
+}
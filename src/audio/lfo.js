@@ -0,0 +1,84 @@
+// src/audio/lfo.js
+// Per-voice LFOs. Each voice gets its own Tone.LFO per active slot so that
+// "retrigger" can restart the phase on every note; free-running LFOs derive
+// their start phase from the audio clock so they sound continuous.
+import * as Tone from 'tone'
+
+export const LFO_COUNT = 2
+export const LFO_TARGETS = ['off', 'pitch', 'amp', 'filter']
+export const LFO_WAVES = ['sine', 'triangle', 'square', 'sawtooth']
+export const LFO_SYNC = ['1m', '2n', '4n', '8n', '16n', '8t'] // tempo-synced rates
+export const LFO_RATE_RANGE = [0.1, 20] // Hz
+
+// Full-depth modulation per target
+const PITCH_CENTS = 100    // ±1 semitone vibrato
+const FILTER_CENTS = 2400  // ±2 octaves wobble
+
+export const LFO_DEFAULT = {
+  target: 'off',
+  waveform: 'sine',
+  rate: 5,
+  sync: null,        // one of LFO_SYNC to lock to tempo, null = free Hz
+  depth: 0.3,        // 0..1
+  retrigger: true,   // restart phase on every note
+}
+export const makeDefaultLfos = () => Array.from({ length: LFO_COUNT }, () => ({ ...LFO_DEFAULT }))
+
+export function normalizeLfos(list) {
+  const [lo, hi] = LFO_RATE_RANGE
+  return Array.from({ length: LFO_COUNT }, (_, i) => {
+    const l = Array.isArray(list) ? list[i] ?? {} : {}
+    return {
+      target: LFO_TARGETS.includes(l.target) ? l.target : LFO_DEFAULT.target,
+      waveform: LFO_WAVES.includes(l.waveform) ? l.waveform : LFO_DEFAULT.waveform,
+      rate: Math.min(hi, Math.max(lo, Number.isFinite(l.rate) ? l.rate : LFO_DEFAULT.rate)),
+      sync: LFO_SYNC.includes(l.sync) ? l.sync : null,
+      depth: Math.min(1, Math.max(0, Number.isFinite(l.depth) ? l.depth : LFO_DEFAULT.depth)),
+      retrigger: l.retrigger ?? LFO_DEFAULT.retrigger,
+    }
+  })
+}
+
+export const activeLfos = (lfos) =>
+  (Array.isArray(lfos) ? lfos : []).filter(l => l && l.target !== 'off' && l.depth > 0)
+
+// LFO rate in Hz (synced rates follow the Transport tempo)
+export const lfoHz = (lfo) => (lfo.sync ? Tone.Time(lfo.sync).toFrequency() : lfo.rate)
+
+/**
+ * Build and start the LFOs of one voice at `time`.
+ * `nodes` = { osc, filter, ampIn, ampOut }: pitch/filter LFOs add to the
+ * detune of osc/filter (several simply sum); each amp LFO gets its own
+ * tremolo Gain wired in series between ampIn and ampOut. Pitch LFOs are
+ * skipped for sources without a detune (sample voices).
+ * Returns every node created, for disposal with the voice.
+ */
+export function startVoiceLfos(lfos, time, { osc, filter, ampIn, ampOut }) {
+  const built = []
+  let ampTail = ampIn
+  for (const l of activeLfos(lfos)) {
+    const hz = lfoHz(l)
+    const phase = l.retrigger ? 0 : ((time * hz) % 1) * 360
+
+    let min, max, dest
+    if (l.target === 'pitch') {
+      if (!osc.detune) continue
+      dest = osc.detune; min = -PITCH_CENTS * l.depth; max = PITCH_CENTS * l.depth
+    } else if (l.target === 'filter') {
+      dest = filter.detune; min = -FILTER_CENTS * l.depth; max = FILTER_CENTS * l.depth
+    } else {
+      const tremolo = new Tone.Gain(1)
+      ampTail.connect(tremolo)
+      ampTail = tremolo
+      built.push(tremolo)
+      dest = tremolo.gain; min = 1 - l.depth; max = 1
+    }
+
+    const lfo = new Tone.LFO({ frequency: hz, type: l.waveform, min, max, phase })
+    lfo.connect(dest)
+    lfo.start(time)
+    built.push(lfo)
+  }
+  ampTail.connect(ampOut)
+  return built
+}
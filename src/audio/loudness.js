@@ -0,0 +1,83 @@
+// src/audio/loudness.js
+// Master loudness metering: sample peak and RMS (dBFS) from the raw signal,
+// and LUFS-style momentary (400 ms) / short-term (3 s) loudness from a
+// K-weighted copy (BS.1770 pre-filter: +4 dB shelf above ~1.7 kHz and a
+// 38 Hz high-pass). The loudness windows are exponential averages updated on
+// every read, so it tracks like a loudness meter without being a certified one.
+import * as Tone from 'tone'
+
+export const CLIP_DB = -0.1          // a sample this hot before the limiter counts as a clip
+export const LUFS_RANGE = [-40, 0]   // shown by the meters
+export const GR_RANGE = [0, 20]      // dB of gain reduction shown
+
+const WINDOW = 2048 // samples per read (~46 ms), so reads at >22 fps miss no peaks
+const MOMENTARY_SEC = 0.4
+const SHORT_TERM_SEC = 3
+
+const toDb = (power) => (power > 0 ? 10 * Math.log10(power) : -Infinity)
+const lufs = (power) => (power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity)
+
+/**
+ * Taps `source` (stereo) for loudness and `peakSource` for peak/RMS (the
+ * master before its limiter, which would otherwise hide every over).
+ * `read()` updates and returns one reused stats object:
+ * { peak, rms, momentary, shortTerm } (dBFS / LUFS).
+ */
+export function createLoudnessMeter(source, peakSource = source) {
+  const raw = new Tone.Analyser({ type: 'waveform', size: WINDOW, channels: 2 })
+  const shelf = new Tone.Filter({ type: 'highshelf', frequency: 1681, gain: 4, Q: 0.71 })
+  const highpass = new Tone.Filter({ type: 'highpass', frequency: 38, Q: 0.5 })
+  const weighted = new Tone.Analyser({ type: 'waveform', size: WINDOW, channels: 2 })
+
+  peakSource.connect(raw)
+  source.connect(shelf)
+  shelf.connect(highpass)
+  highpass.connect(weighted)
+
+  const stats = { peak: -Infinity, rms: -Infinity, momentary: -Infinity, shortTerm: -Infinity }
+  let momentaryPower = 0
+  let shortTermPower = 0
+  let lastRead = 0
+
+  const read = () => {
+    let peak = 0, sum = 0, n = 0
+    for (const ch of raw.getValue()) {
+      for (let i = 0; i < ch.length; i++) {
+        const v = ch[i]
+        const a = v < 0 ? -v : v
+        if (a > peak) peak = a
+        sum += v * v
+      }
+      n += ch.length
+    }
+    // BS.1770: sum of the channels' mean squares (front L/R weigh 1)
+    let power = 0
+    for (const ch of weighted.getValue()) {
+      let s = 0
+      for (let i = 0; i < ch.length; i++) s += ch[i] * ch[i]
+      power += s / ch.length
+    }
+
+    const now = performance.now()
+    const dt = lastRead ? Math.min(1, (now - lastRead) / 1000) : WINDOW / Tone.getContext().sampleRate
+    lastRead = now
+    momentaryPower += (power - momentaryPower) * (1 - Math.exp(-dt / MOMENTARY_SEC))
+    shortTermPower += (power - shortTermPower) * (1 - Math.exp(-dt / SHORT_TERM_SEC))
+
+    stats.peak = peak > 0 ? 20 * Math.log10(peak) : -Infinity
+    stats.rms = toDb(n ? sum / n : 0)
+    stats.momentary = lufs(momentaryPower)
+    stats.shortTerm = lufs(shortTermPower)
+    return stats
+  }
+
+  const dispose = () => {
+    try { peakSource.disconnect(raw) } catch { /* source already gone */ }
+    try { source.disconnect(shelf) } catch { /* source already gone */ }
+    for (const n of [raw, shelf, highpass, weighted]) {
+      try { n.dispose() } catch { /* already disposed */ }
+    }
+  }
+
+  return { read, dispose }
+}
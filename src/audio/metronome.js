@@ -0,0 +1,54 @@
+// src/audio/metronome.js
+// Metronome settings and the click voice. The click goes straight to the
+// speakers, outside the master chain, so it never ends up in a capture or a
+// bounce. Beats follow the step division: a 1/16 grid clicks every 4 steps,
+// and the first beat of each 4/4 bar is the accented downbeat.
+import * as Tone from 'tone'
+import { divisionById } from './timing'
+
+export const BEATS_PER_BAR = 4
+export const COUNT_IN_BARS = [0, 1, 2]
+export const METRONOME_DEFAULTS = { on: false, level: 0.6, accent: true, countIn: 0 }
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v))
+
+export function normalizeMetronome(m) {
+  return {
+    on: !!m?.on,
+    level: clamp01(Number.isFinite(m?.level) ? m.level : METRONOME_DEFAULTS.level),
+    accent: m?.accent == null ? METRONOME_DEFAULTS.accent : !!m.accent,
+    countIn: COUNT_IN_BARS.includes(m?.countIn) ? m.countIn : METRONOME_DEFAULTS.countIn,
+  }
+}
+
+// Steps per beat for a step division (at least 1)
+export const stepsPerBeat = (divisionId) => Math.max(1, Math.round(1 / divisionById(divisionId).beats))
+
+// Where step `i` (counted from a downbeat) falls: null between beats
+export function beatAt(i, spb) {
+  if (i % spb !== 0) return null
+  const beat = (i / spb) % BEATS_PER_BAR
+  return { beat, downbeat: beat === 0 }
+}
+
+/**
+ * Short pitched blip feeding `destination` (the speakers by default).
+ * `trigger(time, { accent, level })`: accented clicks are higher and louder.
+ */
+export function createClick(destination) {
+  const synth = new Tone.Synth({
+    oscillator: { type: 'square' },
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.01 },
+    volume: -8,
+  })
+  if (destination) synth.connect(destination)
+  else synth.toDestination()
+
+  const trigger = (time, { accent = false, level = METRONOME_DEFAULTS.level } = {}) => {
+    const v = clamp01(level) * (accent ? 1 : 0.6)
+    if (v <= 0) return
+    synth.triggerAttackRelease(accent ? 1760 : 1320, 0.03, time, v)
+  }
+  const dispose = () => { synth.dispose() }
+  return { trigger, dispose }
+}
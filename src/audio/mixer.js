@@ -0,0 +1,67 @@
+// src/audio/mixer.js
+// Mixer state: per-track fader (dB), pan and solo, plus the master fader.
+// Mutes stay in their own `mutes` array (shared with the recorder switches).
+// Sidechain ducking: one source track ducks every strip by its `duck` amount
+// (see sidechain).
+export const VOLUME_RANGE = [-48, 6] // dB; the fader floor is treated as silence
+export const PAN_RANGE = [-1, 1]
+export const METER_RANGE = [-60, 0] // dBFS shown by the meters
+
+export const DUCK_RANGE = [0, 1]                 // share of the strip's gain taken away at full key level
+export const SC_ATTACK_RANGE = [0.001, 0.1]      // seconds
+export const SC_RELEASE_RANGE = [0.02, 1]        // seconds
+
+export const STRIP_DEFAULTS = { volume: 0, pan: 0, solo: false, duck: 0 }
+export const MASTER_STRIP_DEFAULTS = { volume: -3 }
+export const SIDECHAIN_DEFAULTS = { source: null, attack: 0.005, release: 0.15 } // source: track index or null
+
+export const makeDefaultMixer = () => ({
+  tracks: Array.from({ length: 5 }, () => ({ ...STRIP_DEFAULTS })),
+  master: { ...MASTER_STRIP_DEFAULTS },
+  sidechain: { ...SIDECHAIN_DEFAULTS },
+})
+
+const num = (v, [lo, hi], fallback) => Math.min(hi, Math.max(lo, Number.isFinite(v) ? v : fallback))
+
+export function normalizeMixer(m) {
+  const sc = m?.sidechain
+  return {
+    tracks: Array.from({ length: 5 }, (_, t) => {
+      const s = m?.tracks?.[t] ?? {}
+      return {
+        volume: num(s.volume, VOLUME_RANGE, STRIP_DEFAULTS.volume),
+        pan: num(s.pan, PAN_RANGE, STRIP_DEFAULTS.pan),
+        solo: !!s.solo,
+        duck: num(s.duck, DUCK_RANGE, STRIP_DEFAULTS.duck),
+      }
+    }),
+    master: { volume: num(m?.master?.volume, VOLUME_RANGE, MASTER_STRIP_DEFAULTS.volume) },
+    sidechain: {
+      source: Number.isInteger(sc?.source) && sc.source >= 0 && sc.source < 5 ? sc.source : null,
+      attack: num(sc?.attack, SC_ATTACK_RANGE, SIDECHAIN_DEFAULTS.attack),
+      release: num(sc?.release, SC_RELEASE_RANGE, SIDECHAIN_DEFAULTS.release),
+    },
+  }
+}
+
+// What the engine's sidechain needs from the mixer: { source, attack, release, amounts }
+export const sidechainOf = (mixer) => ({
+  ...(mixer?.sidechain ?? SIDECHAIN_DEFAULTS),
+  amounts: mixer?.tracks?.map(s => s?.duck ?? 0) ?? [],
+})
+
+// Fader position → gain in dB (the floor mutes)
+export const faderDb = (volume) => (volume <= VOLUME_RANGE[0] ? -Infinity : volume)
+
+// Which tracks the sequencer plays: any solo wins over the mutes
+export function audibleTracks(mutes, mixer) {
+  const solos = mixer?.tracks?.map(s => !!s?.solo) ?? []
+  const anySolo = solos.some(Boolean)
+  return Array.from({ length: 5 }, (_, t) => (anySolo ? solos[t] : !mutes?.[t]))
+}
+
+// dBFS → 0..1 meter fill
+export const meterFill = (db) => {
+  const [lo, hi] = METER_RANGE
+  return Number.isFinite(db) ? Math.min(1, Math.max(0, (db - lo) / (hi - lo))) : 0
+}
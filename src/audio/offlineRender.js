@@ -0,0 +1,94 @@
+// src/audio/offlineRender.js
+// Bounce the pattern to WAV faster than real time: a fresh engine is built
+// inside a Tone.Offline context and fed the same steps the live transport
+// plays (see sequencer), with the session's mutes/solos, mixer and effects.
+import * as Tone from 'tone'
+import { createAudioEngine, mergeVoiceParams } from './engine'
+import { playStep } from './sequencer'
+import { VOLUME_RANGE, audibleTracks, sidechainOf } from './mixer'
+import { stepSecondsFor } from './timing'
+import { pickFilter } from './filter'
+import { pickOsc } from './oscillator'
+import { pickGlide } from './glide'
+import { encodeWav } from './wav'
+
+export const LOOPS_RANGE = [1, 16]
+const TAIL_SEC = 2 // room for releases, delays and reverb after the last step
+
+// Live synth settings notes fall back to (same keys as useTonePad's defaults)
+const voiceDefaultsFrom = (synth) => ({
+  waveform: synth.waveform,
+  attack: synth.attack, decay: synth.decay, sustain: synth.sustain, release: synth.release,
+  cleanupEps: synth.cleanupEps ?? 0.03,
+  ...pickOsc(synth),
+  ...pickGlide(synth),
+  ...pickFilter(synth),
+  lfos: synth.lfos,
+  sample: null,
+})
+
+// A stem pass that keeps the sidechain source playing with its strip at the
+// floor: it still keys the ducking (pre-fader) but is not heard
+const keyOnlyMixes = (tracks, keyOnly) =>
+  tracks.map((s, t) => (t === keyOnly ? { ...s, volume: VOLUME_RANGE[0] } : s))
+
+async function renderPass(session, { loops, audible, keyOnly = null, synth, getSample }) {
+  const { sequence, bpm, division, swing, grooves, trackFx, fxRacks, trackTypes, voiceLimits, mixer } = session
+  const stepSec = stepSecondsFor(bpm, division)
+  const steps = 16 * loops
+  const defaults = voiceDefaultsFrom(synth)
+
+  return Tone.Offline(async (context) => {
+    context.transport.bpm.value = bpm // tempo-synced LFOs
+    const engine = createAudioEngine({ offline: true })
+    engine.setVoiceLimits(voiceLimits)
+    engine.setMasterFx(fxRacks.master, { bpm })
+    engine.setTrackRacks(fxRacks.tracks, { bpm })
+    engine.setTrackMixes(keyOnly == null ? mixer.tracks : keyOnlyMixes(mixer.tracks, keyOnly))
+    engine.setSidechain(sidechainOf(mixer))
+    engine.setMasterVolume(mixer.master.volume)
+
+    const pending = []
+    const player = {
+      // grooves can pull the very first step slightly before zero
+      triggerNoteWith: (params, midi, dur, at, opts) =>
+        pending.push(engine.playVoice(mergeVoiceParams(defaults, params), midi, dur, Math.max(0, at), opts)),
+      triggerDrum: (drum, at, opts) => pending.push(engine.triggerDrum(drum, Math.max(0, at), opts)),
+      setTrackFx: (t, fx, at) => engine.setTrackFx(t, fx, Math.max(0, at)),
+    }
+    const state = { sequence, audible, stepSec, bpm, swing, grooves, trackFx, trackTypes, getSample, synth }
+    for (let i = 0; i < steps; i++) playStep(state, i % 16, i * stepSec, player, { first: i === 0, last: i === steps - 1 })
+    await Promise.all(pending)
+  }, steps * stepSec + TAIL_SEC, 2)
+}
+
+/**
+ * Render `loops` passes of the pattern. Returns [{ name, blob }]: the stereo
+ * master mix first, then (with `stems`) one file per audible track that has
+ * notes — each stem is that track alone through the full master chain,
+ * still ducked by the sidechain source as it is in the master.
+ * `session` is the saved-session snapshot; `synth` the live synth settings.
+ */
+export async function renderSession(session, { loops = 1, stems = false, synth, getSample, onProgress } = {}) {
+  const n = Math.round(Math.min(LOOPS_RANGE[1], Math.max(LOOPS_RANGE[0], loops)))
+  const audible = audibleTracks(session.mutes, session.mixer)
+  const passes = [{ name: 'master', audible }]
+  if (stems) {
+    const { source, amounts } = sidechainOf(session.mixer)
+    for (let t = 0; t < 5; t++) {
+      const hasNotes = session.sequence[t]?.some(slot => slot?.length)
+      if (!audible[t] || !hasNotes) continue
+      const keyOnly = source != null && source !== t && audible[source] && amounts[t] > 0 ? source : null
+      passes.push({ name: `track${t + 1}`, audible: audible.map((_, i) => i === t || i === keyOnly), keyOnly })
+    }
+  }
+
+  const out = []
+  for (const [i, pass] of passes.entries()) {
+    onProgress?.({ done: i, total: passes.length, name: pass.name })
+    const buffer = await renderPass(session, { loops: n, audible: pass.audible, keyOnly: pass.keyOnly, synth, getSample })
+    out.push({ name: pass.name, blob: encodeWav(buffer) })
+  }
+  onProgress?.({ done: passes.length, total: passes.length, name: null })
+  return out
+}
@@ -0,0 +1,102 @@
+// src/audio/oscillator.js
+// Oscillator section: wave families and their extra parameters. `waveform`
+// stays a Tone.OmniOscillator type ('sine', 'fmsawtooth', 'fatsquare',
+// 'pulse', 'custom', …) so snapshots and instruments that only stored a basic
+// wave keep sounding the same.
+
+export const OSC_FAMILIES = ['basic', 'fm', 'am', 'fat', 'pulse', 'custom']
+export const BASE_WAVES = ['sine', 'triangle', 'sawtooth', 'square']
+
+export const HARMONICITY_RANGE = [0.5, 8]   // modulator : carrier frequency ratio
+export const MOD_INDEX_RANGE = [0, 20]      // FM depth
+export const FAT_COUNT_RANGE = [2, 8]       // unison voices
+export const FAT_SPREAD_RANGE = [0, 100]    // cents between the outermost voices
+export const PULSE_WIDTH_RANGE = [0.05, 0.95] // duty cycle
+export const PARTIAL_COUNT = 16
+
+// Harmonic amplitudes for the custom wave, fundamental first
+export const PARTIAL_PRESETS = {
+  saw: Array.from({ length: PARTIAL_COUNT }, (_, i) => +(1 / (i + 1)).toFixed(3)),
+  hollow: Array.from({ length: PARTIAL_COUNT }, (_, i) => (i % 2 ? 0 : +(1 / (i + 1)).toFixed(3))),
+  organ: [1, 0.8, 0, 0.6, 0, 0, 0, 0.4, 0, 0, 0, 0, 0, 0, 0, 0.2],
+  bell: [1, 0, 0, 0.5, 0, 0, 0.3, 0, 0, 0.25, 0, 0, 0, 0.15, 0, 0],
+}
+export const PARTIAL_PRESET_NAMES = Object.keys(PARTIAL_PRESETS)
+
+export const OSC_DEFAULTS = {
+  harmonicity: 2,
+  modulationIndex: 4,
+  fatCount: 3,
+  fatSpread: 20,
+  pulseWidth: 0.5,
+  partials: PARTIAL_PRESETS.saw,
+}
+export const OSC_KEYS = Object.keys(OSC_DEFAULTS)
+
+const clampTo = ([lo, hi], v, fallback) => Math.min(hi, Math.max(lo, Number.isFinite(v) ? v : fallback))
+
+const isPartial = (v) => Number.isFinite(v) && v >= 0 && v <= 1
+
+// Always PARTIAL_COUNT amplitudes in 0..1; a list that already is comes back
+// as-is, so hook deps keyed on it stay stable
+export function normalizePartials(list) {
+  if (Array.isArray(list) && list.length === PARTIAL_COUNT && list.every(isPartial)) return list
+  const src = Array.isArray(list) && list.length ? list : OSC_DEFAULTS.partials
+  return Array.from({ length: PARTIAL_COUNT }, (_, i) => clampTo([0, 1], src[i], 0))
+}
+
+// The oscillator fields of a synth/settings object, with defaults filled in
+export const pickOsc = (src) => ({
+  harmonicity: clampTo(HARMONICITY_RANGE, src?.harmonicity, OSC_DEFAULTS.harmonicity),
+  modulationIndex: clampTo(MOD_INDEX_RANGE, src?.modulationIndex, OSC_DEFAULTS.modulationIndex),
+  fatCount: Math.round(clampTo(FAT_COUNT_RANGE, src?.fatCount, OSC_DEFAULTS.fatCount)),
+  fatSpread: clampTo(FAT_SPREAD_RANGE, src?.fatSpread, OSC_DEFAULTS.fatSpread),
+  pulseWidth: clampTo(PULSE_WIDTH_RANGE, src?.pulseWidth, OSC_DEFAULTS.pulseWidth),
+  partials: normalizePartials(src?.partials),
+})
+
+const PREFIXED = ['fm', 'am', 'fat']
+
+export function oscFamily(waveform) {
+  const w = String(waveform ?? '')
+  const prefix = PREFIXED.find(p => w.startsWith(p) && BASE_WAVES.includes(w.slice(p.length)))
+  if (prefix) return prefix
+  if (w === 'pulse' || w === 'custom') return w
+  return 'basic'
+}
+
+// Basic wave under a family prefix ('fmsquare' -> 'square'); null for pulse/custom
+export function oscBase(waveform) {
+  const family = oscFamily(waveform)
+  if (family === 'pulse' || family === 'custom') return null
+  const base = family === 'basic' ? waveform : waveform.slice(family.length)
+  return BASE_WAVES.includes(base) ? base : 'sine'
+}
+
+// The waveforms a family offers, e.g. 'fm' -> ['fmsine', 'fmtriangle', …]
+export function familyWaves(family) {
+  if (family === 'pulse' || family === 'custom') return [family]
+  const prefix = family === 'basic' ? '' : family
+  return BASE_WAVES.map(w => prefix + w)
+}
+
+/**
+ * Tone.OmniOscillator options for a voice: the waveform plus whichever
+ * family parameters apply to it.
+ */
+export function oscillatorOptions(params, frequency) {
+  const family = oscFamily(params?.waveform)
+  const type = family === 'basic' ? oscBase(params?.waveform) : params.waveform
+  const osc = pickOsc(params)
+  const opts = { type, frequency, volume: -9 }
+  if (family === 'fm' || family === 'am') opts.harmonicity = osc.harmonicity
+  if (family === 'fm') opts.modulationIndex = osc.modulationIndex
+  if (family === 'fat') {
+    opts.count = osc.fatCount
+    opts.spread = osc.fatSpread
+    opts.volume -= 10 * Math.log10(osc.fatCount) // unison sums louder
+  }
+  if (family === 'pulse') opts.width = osc.pulseWidth * 2 - 1 // Tone: 0 = square
+  if (family === 'custom') opts.partials = [...osc.partials] // Tone keeps (and may resize) the array
+  return opts
+}
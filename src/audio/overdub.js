@@ -0,0 +1,39 @@
+// src/audio/overdub.js
+// Real-time recording into the running loop. A pad hit lands on the nearest
+// step of the loop; whatever the quantize strength leaves of its distance to
+// that step is kept on the note as `offset` (fraction of a step, early < 0),
+// which the sequencer plays back.
+import * as Tone from 'tone'
+
+export const QUANTIZE_RANGE = [0, 1] // 1 = hard on the grid
+export const QUANTIZE_DEFAULT = 1
+const MAX_OFFSET = 0.5
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v))
+
+// Timing offset of a recorded note, in steps
+export const noteOffset = (ev) => clamp(Number(ev?.offset) || 0, -MAX_OFFSET, MAX_OFFSET)
+
+/**
+ * Where audio time `now` (default: what is being heard) falls in the loop.
+ * `clock` is the latest step the transport scheduled: { s, time, stepSec, steps }.
+ * Returns the nearest step, the distance to it in steps (-0.5..0.5), that
+ * step's audio time `at`, and whether it is still `pending`: not scheduled on
+ * this pass yet, so a note written there now would play right after the live
+ * hit (see the sequencer's `skip`).
+ */
+export function loopPosition(clock, now = Tone.immediate()) {
+  const { s, time, stepSec, steps = 16 } = clock
+  const pos = s + (now - time) / stepSec
+  const nearest = Math.round(pos)
+  return {
+    slot: ((nearest % steps) + steps) % steps,
+    offset: pos - nearest,
+    at: time + (nearest - s) * stepSec,
+    pending: nearest > s,
+  }
+}
+
+// The part of `offset` a quantize `strength` (0..1) leaves on the note
+export const quantizeOffset = (offset, strength) =>
+  +(clamp(offset, -MAX_OFFSET, MAX_OFFSET) * (1 - clamp(strength, ...QUANTIZE_RANGE))).toFixed(3)
@@ -0,0 +1,189 @@
+// src/audio/samples.js
+// Sample instruments: each track holds one instrument made of keyzones — audio
+// files, each pitched from its own root note over its own low..high key range
+// — trimmed by start/end (fractions of each file). The session only stores
+// references to the files — bundled samples by URL, local files by the key
+// they were saved under in IndexedDB — and buffers are decoded on demand.
+import * as Tone from 'tone'
+
+export const SAMPLE_ACCEPT = '.wav,.mp3,.ogg,audio/wav,audio/mpeg,audio/ogg'
+export const ROOT_RANGE = [24, 96] // midi
+export const KEY_RANGE = [0, 127]
+export const SAMPLE_DEFAULTS = { root: 60, start: 0, end: 1 }
+const MIN_TRIM = 0.01
+
+const clampInt = (v, [lo, hi], fallback) => Math.round(Math.min(hi, Math.max(lo, Number.isFinite(v) ? v : fallback)))
+
+// Root note from a file name ending in a note name: "C4", "piano_F#3", "Db2"
+const NOTE_OFFSETS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 }
+export function noteFromName(name) {
+  const m = /([a-g])([#b]?)(-?\d)$/i.exec(String(name).replace(/\.\w+$/, ''))
+  if (!m) return null
+  const accidental = m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0
+  return (Number(m[3]) + 1) * 12 + NOTE_OFFSETS[m[1].toLowerCase()] + accidental
+}
+
+/**
+ * Splits the keyboard between zones by root note: each zone covers the keys
+ * closer to its root than to its neighbours', the outer zones run to the ends.
+ */
+export function mapZones(zones) {
+  const sorted = [...zones].sort((a, b) => a.root - b.root)
+  return sorted.map((z, i) => ({
+    ...z,
+    lo: i === 0 ? KEY_RANGE[0] : Math.floor((sorted[i - 1].root + z.root) / 2) + 1,
+    hi: i === sorted.length - 1 ? KEY_RANGE[1] : Math.floor((z.root + sorted[i + 1].root) / 2),
+  }))
+}
+
+// The zone that plays `midi`: the one whose range holds it, else the nearest root
+export function zoneFor(zones, midi) {
+  let nearest = null
+  for (const z of zones) {
+    if (midi >= z.lo && midi <= z.hi) return z
+    if (!nearest || Math.abs(z.root - midi) < Math.abs(nearest.root - midi)) nearest = z
+  }
+  return nearest
+}
+
+// Bundled sample folders: src/assets/samples/<folder>/<file>.{wav,mp3,ogg}.
+// A folder whose files are all named by note ("C3.wav", "C4.wav"…) is one
+// multisampled instrument; any other file is a single sample.
+const bundled = import.meta.glob('../assets/samples/**/*.{wav,mp3,ogg}', {
+  eager: true, query: '?url', import: 'default',
+})
+const bundledFiles = Object.entries(bundled).map(([path, url]) => {
+  const parts = path.replace('../assets/samples/', '').split('/')
+  const name = parts[parts.length - 1].replace(/\.\w+$/, '')
+  return { folder: parts.length > 1 ? parts[0] : '', name, url }
+})
+const byFolder = new Map()
+for (const f of bundledFiles) byFolder.set(f.folder, [...(byFolder.get(f.folder) ?? []), f])
+export const BUNDLED_SAMPLES = [...byFolder.entries()]
+  .flatMap(([folder, files]) => (
+    folder && files.length > 1 && files.every(f => noteFromName(f.name) != null)
+      ? [{ folder: '', name: folder, files }]
+      : files.map(f => ({ folder, name: f.name, files: [f] }))
+  ))
+  .sort((a, b) => `${a.folder}/${a.name}`.localeCompare(`${b.folder}/${b.name}`))
+
+export const makeBundledSample = ({ folder, name, files }) => ({
+  name: folder ? `${folder}/${name}` : name,
+  zones: mapZones(files.map(f => ({
+    name: f.name, source: 'bundled', ref: f.url, root: noteFromName(f.name) ?? SAMPLE_DEFAULTS.root,
+  }))),
+  start: SAMPLE_DEFAULTS.start,
+  end: SAMPLE_DEFAULTS.end,
+})
+export const makeDefaultSamples = () => Array(5).fill(null)
+
+function normalizeZone(z) {
+  if (!z || !['bundled', 'local'].includes(z.source) || typeof z.ref !== 'string') return null
+  const lo = clampInt(z.lo, KEY_RANGE, KEY_RANGE[0])
+  return {
+    name: String(z.name ?? 'Sample'),
+    source: z.source,
+    ref: z.ref,
+    root: clampInt(z.root, ROOT_RANGE, SAMPLE_DEFAULTS.root),
+    lo,
+    hi: clampInt(z.hi, [lo, KEY_RANGE[1]], KEY_RANGE[1]),
+  }
+}
+
+export function normalizeSamples(list) {
+  return Array.from({ length: 5 }, (_, t) => {
+    const s = Array.isArray(list) ? list[t] : null
+    if (!s) return null
+    // single-file entries from older sessions become one full-range zone
+    const zones = (Array.isArray(s.zones) ? s.zones : [s]).map(normalizeZone).filter(Boolean)
+    if (!zones.length) return null
+    const start = Math.min(1 - MIN_TRIM, Math.max(0, Number.isFinite(s.start) ? s.start : 0))
+    const end = Math.min(1, Math.max(start + MIN_TRIM, Number.isFinite(s.end) ? s.end : 1))
+    return { name: String(s.name ?? zones[0].name), zones, start, end }
+  })
+}
+
+// Moves every zone's root by the same interval, keeping the key ranges
+export function transposeRoots(sample, root) {
+  const by = clampInt(root, ROOT_RANGE, SAMPLE_DEFAULTS.root) - sample.zones[0].root
+  const [lo, hi] = ROOT_RANGE
+  return { ...sample, zones: sample.zones.map(z => ({ ...z, root: Math.min(hi, Math.max(lo, z.root + by)) })) }
+}
+
+// ───────── Local files (IndexedDB) ─────────
+const DB_NAME = 'vrbeatmaker.samples'
+const STORE = 'files'
+
+const openDb = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open(DB_NAME, 1)
+  req.onupgradeneeded = () => req.result.createObjectStore(STORE)
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+async function withStore(mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const req = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => { db.close(); resolve(req.result) }
+    tx.onerror = () => { db.close(); reject(tx.error) }
+  })
+}
+
+/**
+ * Keep picked Files across reloads; resolves to a session sample entry with
+ * one zone per file. Files named by note ("C4.wav") are rooted there, others
+ * at middle C.
+ */
+export async function saveLocalSamples(files) {
+  const zones = []
+  for (const file of files) {
+    const key = `${Date.now().toString(36)}-${file.name}`
+    await withStore('readwrite', s => s.put(file, key))
+    const name = file.name.replace(/\.\w+$/, '')
+    zones.push({ name, source: 'local', ref: key, root: noteFromName(name) ?? SAMPLE_DEFAULTS.root })
+  }
+  return {
+    name: zones.length > 1 ? `${zones[0].name} +${zones.length - 1}` : zones[0].name,
+    zones: mapZones(zones),
+    start: SAMPLE_DEFAULTS.start,
+    end: SAMPLE_DEFAULTS.end,
+  }
+}
+
+// ───────── Decoding ─────────
+const buffers = new Map() // `${source}:${ref}` -> Promise<ToneAudioBuffer>
+
+// `sample` is one zone (or any { name, source, ref })
+export function loadSampleBuffer(sample) {
+  const key = `${sample.source}:${sample.ref}`
+  if (!buffers.has(key)) {
+    const pending = (async () => {
+      const blob = sample.source === 'local'
+        ? await withStore('readonly', s => s.get(sample.ref))
+        : await (await fetch(sample.ref)).blob()
+      if (!blob) throw new Error(`Sample "${sample.name}" is no longer stored in this browser`)
+      const audio = await Tone.getContext().decodeAudioData(await blob.arrayBuffer())
+      return new Tone.ToneAudioBuffer(audio)
+    })()
+    pending.catch(() => buffers.delete(key)) // allow a retry later
+    buffers.set(key, pending)
+  }
+  return buffers.get(key)
+}
+
+/**
+ * Buffer source for one sampled voice. `sample` = { zones: [{ buffer, root,
+ * lo, hi }], start, end }; the zone holding `midi` plays, pitched from its root.
+ * Returns the source plus how long the trimmed region lasts at this pitch, so
+ * the voice can stop at whichever comes first: the region end or the release.
+ */
+export function createSampleSource({ zones, start = 0, end = 1 }, midi) {
+  const { buffer, root = 60 } = zoneFor(zones, midi)
+  const rate = Math.pow(2, (midi - root) / 12)
+  const source = new Tone.ToneBufferSource({ url: buffer, playbackRate: rate, fadeIn: 0.002, fadeOut: 0.005 })
+  const offset = buffer.duration * start
+  const length = (buffer.duration * Math.max(MIN_TRIM, end - start)) / rate
+  return { source, offset, length }
+}
@@ -0,0 +1,78 @@
+// src/audio/sequencer.js
+// What one step of the pattern plays. Shared by the live transport
+// (PlayBackRecorder) and the offline renderer so both sound the same.
+import { grooveDelay } from './groove'
+import { heldSeconds, isTied, tieEnd } from './gate'
+import { velocityOf } from './velocity'
+import { noteOffset } from './overdub'
+
+const hasSlide = (events) => !!events?.some(ev => ev?.slide && !ev.drum && typeof ev.midi === 'number')
+
+/**
+ * Schedule the notes of step `s` (grid time `time`) on one side of the grid:
+ * `early` ones are pulled ahead of it (groove + offset < 0), `late` ones play
+ * on or after it, `all` both. Nothing plays before `notBefore`.
+ */
+function playPart(state, s, time, player, part, notBefore = -Infinity) {
+  const { sequence, audible, stepSec, bpm, swing, grooves, trackFx, trackTypes, getSample, synth, skip } = state
+
+  for (let t = 0; t < 5; t++) {
+    if (!audible[t]) continue
+    const events = (sequence?.[t]?.[s]) || []
+    if (!events.length) continue
+    // groove shifts the whole step of this track off the grid
+    const at = time + grooveDelay(grooves?.[t], swing, s, stepSec)
+    const fx = trackFx?.[t]
+    // sample tracks swap the oscillator for the track's sample (until it has decoded)
+    const sample = trackTypes?.[t] === 'sample' ? getSample?.(t) : null
+    const slide = hasSlide(events)
+    const track = sequence[t]
+    for (const ev of events) {
+      const shifted = at + noteOffset(ev) * stepSec
+      if (part !== 'all' && (shifted < time) !== (part === 'early')) continue
+      if (skip?.has(ev)) {
+        const skipAt = skip.get(ev)
+        skip.delete(ev)
+        if (Math.abs(skipAt - time) < stepSec / 2) continue
+      }
+      const evAt = Math.max(notBefore, shifted)
+      if (fx?.mode === 'override') player.setTrackFx(t, fx, evAt)
+      if (ev?.drum) { player.triggerDrum(ev.drum, evAt, { track: t, velocity: velocityOf(ev) }); continue }
+      const midi = ev?.midi
+      if (typeof midi !== 'number' || isTied(track, s, ev)) continue
+      const held = heldSeconds(track, s, ev, bpm, stepSec)
+      const slideOut = hasSlide(track[(s + tieEnd(track, s, ev).k + 1) % 16])
+      // held just past the next step (swing included) so the slide can take over
+      const evDur = slideOut ? Math.max(held, stepSec * 1.75) : held
+      // the track bus follows the note's recorded reverb unless overridden
+      if (fx?.mode !== 'override') player.setTrackFx(t, ev?.synth ?? synth, evAt)
+      player.triggerNoteWith(sample ? { ...ev?.synth, sample } : ev?.synth ?? {}, midi, evDur, evAt, { track: t, slide, mono: slideOut, velocity: velocityOf(ev) })
+    }
+  }
+}
+
+/**
+ * Schedule step `s` at audio-clock `time`. Notes on a step flagged `slide`
+ * glide legato from the previous note; notes before such a step are held
+ * into it on the track's mono voice (see glide). Every note and hit plays at
+ * its recorded velocity. Tied notes are not retriggered: the note that starts
+ * the tie is held through them (see gate). Overdubbed notes keep what
+ * quantizing left of their timing as an `offset` (see overdub); `skip` maps
+ * notes just overdubbed (already heard live) to the step time they must not
+ * replay at.
+ * Notes pulled ahead of their step (early groove nudges and offsets, at most
+ * 0.75 step) are scheduled by the step before, a whole step ahead, so the
+ * transport's lookahead never has to cover them: this call plays step `s`'s
+ * other notes plus the next step's early ones. `first`: no step came before,
+ * so `s`'s early notes play here too, on the grid; `last`: no step follows.
+ * `state`  = { sequence, audible, stepSec, bpm, swing, grooves, trackFx, trackTypes, getSample, synth, skip }
+ * `player` = { triggerNoteWith(params, midi, dur, time, opts), triggerDrum(drum, time, opts), setTrackFx(track, fx, time) }
+ */
+export function playStep(state, s, time, player, { first = false, last = false } = {}) {
+  playPart(state, s, time, player, first ? 'all' : 'late', time)
+  if (!last) playEarly(state, (s + 1) % 16, time + state.stepSec, player)
+}
+
+// Only the early notes of step `s` (grid time `time`), e.g. the first step
+// after a count-in, whose step before was not played
+export const playEarly = (state, s, time, player) => playPart(state, s, time, player, 'early')
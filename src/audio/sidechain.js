@@ -0,0 +1,103 @@
+// src/audio/sidechain.js
+// Sidechain ducking, all on the audio graph: the source track's pre-fader
+// signal (after its inserts, before its fader, pan and own duck) drives an
+// envelope follower whose key signal pulls down the `duck` gain of every
+// other track bus (see trackBus) by that track's amount.
+//
+//   source post → |x| ─┬→ one-pole (attack)  ─┐
+//                     └→ one-pole (release) ─┴→ max → drive → key ─┬→ × -amount → duck.gain (T2)
+//                                                                  └→ × -amount → duck.gain (T3) …
+//
+// The larger of a fast and a slow follower rises at the attack time and falls
+// at the release time, which a single linear filter can't do. Keying pre-fader
+// keeps the ducking depth independent of how loud the source sits in the mix.
+import * as Tone from 'tone'
+
+const KEY_DRIVE = 3 // follower level (≈ -10 dBFS) that counts as a full duck
+const RAMP = 0.03   // seconds, amount changes
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v))
+const timeHz = (sec) => 1 / (2 * Math.PI * Math.max(0.0005, sec))
+
+function createDetector(source, { attack, release }) {
+  const abs = new Tone.Abs()
+  const fast = new Tone.OnePoleFilter(timeHz(attack), 'lowpass')
+  const slow = new Tone.OnePoleFilter(timeHz(release), 'lowpass')
+  // max(a, b) = (a + b + |a - b|) / 2
+  const diff = new Tone.Subtract()
+  const diffAbs = new Tone.Abs()
+  const half = new Tone.Gain(0.5)
+  const key = new Tone.WaveShaper((x) => clamp01(x * KEY_DRIVE), 1024)
+
+  source.connect(abs)
+  abs.connect(fast)
+  abs.connect(slow)
+  fast.connect(diff)
+  slow.connect(diff.subtrahend)
+  diff.connect(diffAbs)
+  fast.connect(half)
+  slow.connect(half)
+  diffAbs.connect(half)
+  half.connect(key)
+
+  const setTimes = ({ attack: a, release: r }) => {
+    if (fast.frequency !== timeHz(a)) fast.frequency = timeHz(a)
+    if (slow.frequency !== timeHz(r)) slow.frequency = timeHz(r)
+  }
+  const dispose = () => {
+    try { source.disconnect(abs) } catch { /* source already gone */ }
+    for (const n of [abs, fast, slow, diff, diffAbs, half, key]) {
+      try { n.dispose() } catch { /* already disposed */ }
+    }
+  }
+  return { key, setTimes, dispose }
+}
+
+/**
+ * `getBus(track)` returns the track's bus (created on demand). `sync` takes
+ * { source, attack, release, amounts } (see mixer's sidechainOf); a null
+ * source, or a zero amount, leaves the tracks untouched.
+ */
+export function createSidechain(getBus) {
+  let detector = null
+  let source = null
+  const depths = new Map() // track -> Gain into that bus's duck gain
+
+  const dropDepth = (t) => {
+    const depth = depths.get(t)
+    if (!depth) return
+    depth.dispose()
+    depths.delete(t)
+  }
+  const clear = () => {
+    for (const t of [...depths.keys()]) dropDepth(t)
+    detector?.dispose()
+    detector = null
+    source = null
+  }
+
+  const sync = ({ source: src = null, attack, release, amounts } = {}) => {
+    if (src == null) { clear(); return }
+    if (src !== source) {
+      clear()
+      detector = createDetector(getBus(src).post, { attack, release })
+      source = src
+    }
+    detector.setTimes({ attack, release })
+
+    for (let t = 0; t < (amounts?.length ?? 0); t++) {
+      const amount = t === source ? 0 : clamp01(Number(amounts[t]) || 0)
+      if (amount <= 0) { dropDepth(t); continue }
+      let depth = depths.get(t)
+      if (!depth) {
+        depth = new Tone.Gain(0)
+        detector.key.connect(depth)
+        depth.connect(getBus(t).duck.gain)
+        depths.set(t, depth)
+      }
+      depth.gain.rampTo(-amount, RAMP)
+    }
+  }
+
+  return { sync, dispose: clear }
+}
@@ -0,0 +1,45 @@
+// src/audio/timing.js
+// Musical timing helpers shared by the recorder, transport and visualizer.
+// Lengths are expressed in quarter-note beats so they rescale with tempo.
+
+export const BPM_RANGE = [40, 240]
+
+// The transport hands a step over this long (seconds) before it sounds
+export const LOOKAHEAD_SEC = 0.1
+
+// Step divisions offered on the recorder (Tone.js notation + length in beats)
+export const DIVISIONS = [
+  { id: '8n',  label: '1/8',   beats: 1 / 2 },
+  { id: '16n', label: '1/16',  beats: 1 / 4 },
+  { id: '16t', label: '1/16T', beats: 1 / 6 },
+  { id: '32n', label: '1/32',  beats: 1 / 8 },
+]
+
+export const clampBpm = (bpm) => {
+  const [lo, hi] = BPM_RANGE
+  return Math.round(Math.min(hi, Math.max(lo, Number.isFinite(bpm) ? bpm : 120)))
+}
+
+export const divisionById = (id) => DIVISIONS.find(d => d.id === id) ?? DIVISIONS[1]
+
+export const beatsToSeconds = (beats, bpm) => beats * 60 / clampBpm(bpm)
+export const secondsToBeats = (sec, bpm) => sec * clampBpm(bpm) / 60
+
+export const stepSecondsFor = (bpm, divisionId) => beatsToSeconds(divisionById(divisionId).beats, bpm)
+
+// Length of a recorded note in seconds at the current tempo.
+// Older notes stored absolute `duration` seconds; keep honouring those.
+export const noteSeconds = (ev, bpm, fallbackSec) => {
+  if (Number.isFinite(ev?.beats)) return beatsToSeconds(ev.beats, bpm)
+  if (Number.isFinite(ev?.duration)) return ev.duration
+  return fallbackSec
+}
+
+// Tap tempo: average of the most recent intervals; a long pause starts over
+export function tapTempo(taps, now, { maxGapMs = 2000, window = 4 } = {}) {
+  const recent = taps.length && now - taps[taps.length - 1] > maxGapMs ? [] : taps
+  const next = [...recent, now].slice(-(window + 1))
+  if (next.length < 2) return { taps: next, bpm: null }
+  const avgMs = (next[next.length - 1] - next[0]) / (next.length - 1)
+  return { taps: next, bpm: clampBpm(60000 / avgMs) }
+}
@@ -0,0 +1,73 @@
+// src/audio/trackBus.js
+import * as Tone from 'tone'
+import { createEffectsRack } from './effects'
+import { faderDb } from './mixer'
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v))
+
+export const TRACK_FX_DEFAULTS = { mode: 'recorded', reverbMix: 0.25, reverbRoomSize: 0.3 }
+export const makeDefaultTrackFx = () => Array.from({ length: 5 }, () => ({ ...TRACK_FX_DEFAULTS }))
+
+export function normalizeTrackFx(list) {
+  if (!Array.isArray(list)) return makeDefaultTrackFx()
+  return Array.from({ length: 5 }, (_, t) => {
+    const fx = list[t] ?? {}
+    return {
+      mode: fx.mode === 'override' ? 'override' : 'recorded',
+      reverbMix: clamp01(Number.isFinite(fx.reverbMix) ? fx.reverbMix : TRACK_FX_DEFAULTS.reverbMix),
+      reverbRoomSize: clamp01(Number.isFinite(fx.reverbRoomSize) ? fx.reverbRoomSize : TRACK_FX_DEFAULTS.reverbRoomSize),
+    }
+  })
+}
+
+/**
+ * One track's FX bus:
+ *   voices → input → insert rack → post ─┬─────────────────────────────→ strip → duck → destination
+ *                                        └→ send → Freeverb (100% wet) ─┘          └→ meter
+ * `reverbMix` is the send level, `reverbRoomSize` the reverb's room.
+ * Both can be moved sample-accurately with `set(params, time)`; the insert
+ * effects are re-synced from data with `rack.sync(list, { bpm })`.
+ * The strip is the mixer channel: `setMix({ volume, pan })` (dB, -1..1).
+ * `duck` sits at unity; the sidechain pulls its gain down (see sidechain).
+ * `post` is the pre-fader signal, which the sidechain keys from.
+ */
+export function createTrackBus(destination, { reverbMix = 0.25, reverbRoomSize = 0.3 } = {}) {
+  const input = new Tone.Gain(1)
+  const post = new Tone.Gain(1)
+  const send = new Tone.Gain(clamp01(reverbMix))
+  const reverb = new Tone.Freeverb({ roomSize: clamp01(reverbRoomSize), dampening: 3000, wet: 1 })
+  const rack = createEffectsRack(input, post)
+  const strip = new Tone.PanVol({ volume: 0, pan: 0 })
+  const duck = new Tone.Gain(1)
+  const meter = new Tone.Meter({ smoothing: 0.8 })
+
+  post.connect(strip)
+  post.connect(send)
+  send.connect(reverb)
+  reverb.connect(strip)
+  strip.connect(duck)
+  duck.connect(destination)
+  duck.connect(meter)
+
+  const set = ({ reverbMix: mix, reverbRoomSize: room } = {}, time) => {
+    const at = Number.isFinite(time) ? time : Tone.now()
+    if (Number.isFinite(mix)) send.gain.setValueAtTime(clamp01(mix), at)
+    if (Number.isFinite(room)) reverb.roomSize.setValueAtTime(clamp01(room), at)
+  }
+
+  // `ramp` 0 jumps straight there (a new bus starts at its mix)
+  const setMix = ({ volume, pan } = {}, ramp = 0.02) => {
+    const move = (param, v) => (ramp > 0 ? param.linearRampTo(v, ramp) : param.setValueAtTime(v, Tone.now()))
+    if (Number.isFinite(volume)) move(strip.volume, faderDb(volume))
+    if (Number.isFinite(pan)) move(strip.pan, Math.max(-1, Math.min(1, pan)))
+  }
+
+  const dispose = () => {
+    rack.dispose()
+    for (const node of [input, post, send, reverb, strip, duck, meter]) {
+      try { node.dispose() } catch { /* already disposed */ }
+    }
+  }
+
+  return { input, post, output: duck, duck, send, reverb, rack, meter, set, setMix, dispose }
+}
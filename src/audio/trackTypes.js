@@ -0,0 +1,10 @@
+// src/audio/trackTypes.js
+// What a track's notes play through:
+//  - synth:  the recorded synth snapshot of each note
+//  - drum:   the synthesized kit (see audio/drumKit)
+//  - sample: the track's sample (see audio/samples), with each note's ADSR/filter/LFOs
+export const TRACK_TYPES = ['synth', 'drum', 'sample']
+export const TRACK_TYPE_TAGS = { synth: '', drum: ' Dr', sample: ' Sm' }
+export const makeDefaultTrackTypes = () => Array(5).fill('synth')
+export const normalizeTrackTypes = (list) =>
+  Array.from({ length: 5 }, (_, t) => (Array.isArray(list) && TRACK_TYPES.includes(list[t]) ? list[t] : 'synth'))
@@ -0,0 +1,18 @@
+// src/audio/velocity.js
+// Note velocity (0..1): how hard a pad was struck. Recorded on every note and
+// hit, it scales the voice's amplitude (drums: the hit level) and, by the
+// synth's `filterVelocity` amount, darkens soft notes.
+
+export const VELOCITY_RANGE = [0.05, 1]
+export const DEFAULT_VELOCITY = 1     // mouse clicks and notes recorded before velocity
+export const VEL_CUTOFF_OCTAVES = 4   // a soft note at full filterVelocity sits this far below the cutoff
+
+export const clampVelocity = (v) =>
+  Math.min(VELOCITY_RANGE[1], Math.max(VELOCITY_RANGE[0], Number.isFinite(v) ? v : DEFAULT_VELOCITY))
+
+// Velocity of a note or hit (older recordings have none)
+export const velocityOf = (ev) => clampVelocity(ev?.velocity)
+
+// Cutoff for `velocity`: full velocity keeps the cutoff, softer notes close it
+export const velocityCutoff = (cutoff, velocity, amount) =>
+  cutoff * Math.pow(2, -VEL_CUTOFF_OCTAVES * Math.min(1, Math.max(0, Number(amount) || 0)) * (1 - clampVelocity(velocity)))
@@ -0,0 +1,81 @@
+// src/audio/voiceAllocator.js
+// Bookkeeping for sounding voices: a polyphony limit and which voice gives
+// way when it is reached. Times are audio-clock seconds, so voices scheduled
+// ahead by the transport are accounted for at the time they will sound.
+//
+// Policies:
+//  - oldest:    steal the voice that started first
+//  - quietest:  steal the voice with the lowest estimated envelope level
+//  - same-note: a pitch already sounding on the same destination is always
+//               retriggered (its old voice fades out); otherwise as oldest
+export const VOICE_POLICIES = ['oldest', 'quietest', 'same-note']
+export const POLYPHONY_RANGE = [4, 32]
+export const VOICE_DEFAULTS = { maxVoices: 16, policy: 'same-note' }
+
+export function normalizeVoiceLimits(v) {
+  const [lo, hi] = POLYPHONY_RANGE
+  return {
+    maxVoices: Math.round(Math.min(hi, Math.max(lo, Number.isFinite(v?.maxVoices) ? v.maxVoices : VOICE_DEFAULTS.maxVoices))),
+    policy: VOICE_POLICIES.includes(v?.policy) ? v.policy : VOICE_DEFAULTS.policy,
+  }
+}
+
+// Rough ADSR level at `now` — enough to rank voices, not to draw them
+function levelAt(v, now) {
+  const t = now - v.startAt
+  if (t < 0) return v.level // scheduled, not yet sounding: treat as loud
+  const { attack, decay, sustain, release } = v.env
+  let env
+  if (t < attack) env = t / attack
+  else env = sustain + (1 - sustain) * Math.exp(-(t - attack) / decay)
+  if (now >= v.releaseAt) env *= Math.max(0, 1 - (now - v.releaseAt) / release)
+  return v.level * env
+}
+
+/**
+ * `steal(entry, at)` is called for every voice that has to give way; it should
+ * fade the voice out quickly from `at`. Entries are
+ * { handle, midi, dest, startAt, releaseAt, stopAt, level, env }.
+ */
+export function createVoiceAllocator({ steal, ...limits } = {}) {
+  let { maxVoices, policy } = normalizeVoiceLimits(limits)
+  let voices = []
+
+  const prune = (now) => { voices = voices.filter(v => v.stopAt > now) }
+  const active = (now) => { prune(now); return voices.length }
+
+  const pickVictim = (now) => {
+    let victim = voices[0]
+    for (const v of voices) {
+      if (policy === 'quietest' ? levelAt(v, now) < levelAt(victim, now) : v.startAt < victim.startAt) victim = v
+    }
+    return victim
+  }
+
+  // a victim scheduled later than the newcomer still gets to start
+  const take = (v, at) => {
+    voices = voices.filter(x => x !== v)
+    steal(v, Math.max(at, v.startAt))
+  }
+
+  // Make room for a voice starting at `now`, then track it
+  const add = (entry) => {
+    const now = entry.startAt
+    prune(now)
+    if (policy === 'same-note') {
+      for (const v of voices.filter(x => x.midi === entry.midi && x.dest === entry.dest)) take(v, now)
+    }
+    while (voices.length >= maxVoices) take(pickVictim(now), now)
+    voices.push(entry)
+    return entry
+  }
+
+  // Patch a tracked voice, e.g. when a held note is released
+  const update = (entry, patch) => { Object.assign(entry, patch) }
+
+  const configure = (next) => {
+    ;({ maxVoices, policy } = normalizeVoiceLimits({ maxVoices, policy, ...next }))
+  }
+
+  return { add, update, active, configure }
+}
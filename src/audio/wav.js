@@ -0,0 +1,39 @@
+// src/audio/wav.js
+// 16-bit PCM WAV encoding for rendered / captured audio.
+
+/** AudioBuffer (or Tone.ToneAudioBuffer) → WAV Blob */
+export function encodeWav(buffer) {
+  const audio = typeof buffer.get === 'function' ? buffer.get() : buffer
+  const channels = audio.numberOfChannels
+  const frames = audio.length
+  const bytesPerSample = 2
+  const dataSize = frames * channels * bytesPerSample
+  const view = new DataView(new ArrayBuffer(44 + dataSize))
+
+  const str = (off, s) => { for (let i = 0; i < s.length; i++) view.setUint8(off + i, s.charCodeAt(i)) }
+  str(0, 'RIFF')
+  view.setUint32(4, 36 + dataSize, true)
+  str(8, 'WAVE')
+  str(12, 'fmt ')
+  view.setUint32(16, 16, true)                     // fmt chunk size
+  view.setUint16(20, 1, true)                      // PCM
+  view.setUint16(22, channels, true)
+  view.setUint32(24, audio.sampleRate, true)
+  view.setUint32(28, audio.sampleRate * channels * bytesPerSample, true)
+  view.setUint16(32, channels * bytesPerSample, true)
+  view.setUint16(34, 16, true)                     // bits per sample
+  str(36, 'data')
+  view.setUint32(40, dataSize, true)
+
+  // interleave, clamp, scale to int16
+  const data = Array.from({ length: channels }, (_, c) => audio.getChannelData(c))
+  let off = 44
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const v = Math.max(-1, Math.min(1, data[c][i]))
+      view.setInt16(off, v < 0 ? v * 0x8000 : v * 0x7fff, true)
+      off += 2
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' })
+}
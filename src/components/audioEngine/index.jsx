@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react'
+import { createAudioEngine } from '../../audio/engine'
+import { AudioEngineContext } from '../../audio/engineContext'
+
+/**
+ * Owns the app's one audio engine for its lifetime. Children render once the
+ * engine exists, so `useAudioEngine()` never sees a missing engine.
+ * (The Canvas bridges this context into the R3F tree.)
+ */
+export default function AudioEngineProvider({ children }) {
+  const [engine, setEngine] = useState(null)
+
+  useEffect(() => {
+    const e = createAudioEngine()
+    setEngine(e)
+    return () => {
+      setEngine(null)
+      e.dispose()
+    }
+  }, [])
+
+  if (!engine) return null
+  return <AudioEngineContext.Provider value={engine}>{children}</AudioEngineContext.Provider>
+}
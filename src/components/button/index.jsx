@@ -4,12 +4,18 @@ import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import BitmapText from '../bitmapText'
 import { useDisposable } from '../../hooks/useDisposable'
+import { DEFAULT_VELOCITY } from '../../audio/velocity'
+
+// Finger speed (m/s) towards the button that counts as a full-velocity press
+const FULL_VELOCITY_SPEED = 0.8
+const MIN_VELOCITY = 0.1
+const APPROACH_WINDOW_MS = 120 // older hover samples don't describe this press
 
 export default function PressablePlanesButton({
   // Variant & callbacks
   mode = 'long-press',                     // 'long-press' | 'toggle'
-  onPressed = () => {},
-  onPressDown = () => {},
+  onPressed = () => {},                    // (velocity) => void; velocity is 0..1 for a touch press, else null
+  onPressDown = () => {},                  // (velocity) => void
   onPressUp = () => {},
   onToggle = () => {},
 
@@ -45,6 +51,8 @@ export default function PressablePlanesButton({
   const [armed, setArmed] = useState(false)
   const [isOn, setIsOn] = useState(false)
   const committedPressRef = useRef(false)
+  const approachRef = useRef(null) // last hover sample of a touching finger: { d, t, speed }
+  const velocityRef = useRef(null)
 
   // GEOMETRIES (auto-disposed)
   const geoBase = useDisposable(
@@ -107,17 +115,43 @@ export default function PressablePlanesButton({
     if (isPressed && activated && !armed) {
       setArmed(true)
       committedPressRef.current = true
-      onPressed()
+      onPressed(velocityRef.current)
     }
     if (!isPressed && armed) setArmed(false)
   })
 
+  // Approach speed of a hand/finger touch pointer, sampled while it hovers
+  // (null until two samples close enough together have measured it)
+  const sampleApproach = (e) => {
+    if (e.pointerType !== 'touch' || !Number.isFinite(e.distance)) return
+    const now = performance.now()
+    const prev = approachRef.current
+    const dt = prev ? (now - prev.t) / 1000 : 0
+    const speed = prev && dt > 0 && dt * 1000 < APPROACH_WINDOW_MS
+      ? Math.max(0, prev.d - e.distance) / dt
+      : dt === 0 ? prev?.speed ?? null : null // a gap too long to measure across
+    approachRef.current = { d: e.distance, t: now, speed }
+  }
+
+  // 0..1 from how fast the finger came in; null for mouse/ray clicks.
+  // A touch with no recent measurement (e.g. one that starts on the pad)
+  // plays at the default velocity.
+  const pressVelocity = (e) => {
+    if (e.pointerType !== 'touch') return null
+    sampleApproach(e)
+    const a = approachRef.current
+    approachRef.current = null
+    if (a?.speed == null || performance.now() - a.t > APPROACH_WINDOW_MS) return DEFAULT_VELOCITY
+    return +Math.min(1, Math.max(MIN_VELOCITY, a.speed / FULL_VELOCITY_SPEED)).toFixed(2)
+  }
+
   const handlePointerDown = (e) => {
     e.stopPropagation()
     e.target.setPointerCapture?.(e.pointerId)
     committedPressRef.current = false
+    velocityRef.current = pressVelocity(e)
     setIsPressed(true)
-    if (mode === 'long-press') onPressDown()
+    if (mode === 'long-press') onPressDown(velocityRef.current)
   }
 
   const handlePointerUp = (e) => {
@@ -146,6 +180,7 @@ export default function PressablePlanesButton({
       rotation={rotation}
       scale={scale}
       onPointerDown={handlePointerDown}
+      onPointerMove={sampleApproach}
       onPointerUp={handlePointerUp}
       onPointerOut={handlePointerUp}
       onPointerCancel={handlePointerUp}
@@ -0,0 +1,52 @@
+import { useState, useCallback, useEffect } from 'react'
+import { LOOPS_RANGE, renderSession } from '../../audio/offlineRender'
+
+/**
+ * Desktop-only export: renders N loops of the pattern offline and lists the
+ * resulting WAVs (master + optional per-track stems) as download links.
+ */
+export default function ExportPanel({ session, synth, getSample }) {
+  const [loops, setLoops] = useState(2)
+  const [stems, setStems] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [status, setStatus] = useState('')
+  const [files, setFiles] = useState([]) // [{ name, url }]
+
+  // object URLs live as long as their links
+  useEffect(() => () => files.forEach(f => URL.revokeObjectURL(f.url)), [files])
+
+  const onRender = useCallback(async () => {
+    setBusy(true)
+    setStatus('Rendering…')
+    try {
+      const rendered = await renderSession(session, {
+        loops, stems, synth, getSample,
+        onProgress: ({ done, total, name }) => setStatus(name ? `Rendering ${name} (${done + 1}/${total})…` : 'Done'),
+      })
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')
+      setFiles(rendered.map(({ name, blob }) => ({ name: `vrbeat-${stamp}-${name}.wav`, url: URL.createObjectURL(blob) })))
+    } catch (err) {
+      setStatus(`Render failed: ${err?.message ?? err}`)
+    } finally {
+      setBusy(false)
+    }
+  }, [session, loops, stems, synth, getSample])
+
+  return (
+    <div style={{ position: 'fixed', zIndex: 10, top: 84, left: 12, display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', maxWidth: 560 }}>
+      <label style={{ color: '#94a3b8', fontSize: 12 }}>
+        Loops{' '}
+        <input type="number" min={LOOPS_RANGE[0]} max={LOOPS_RANGE[1]} value={loops} style={{ width: 48 }}
+          onChange={(e) => setLoops(Math.min(LOOPS_RANGE[1], Math.max(LOOPS_RANGE[0], Number(e.target.value) || 1)))} />
+      </label>
+      <label style={{ color: '#94a3b8', fontSize: 12 }}>
+        <input type="checkbox" checked={stems} onChange={(e) => setStems(e.target.checked)} /> Stems
+      </label>
+      <button onClick={onRender} disabled={busy}>Export WAV</button>
+      <span style={{ color: '#94a3b8', fontSize: 12 }}>{status}</span>
+      {files.map(f => (
+        <a key={f.url} href={f.url} download={f.name} style={{ color: '#60a5fa', fontSize: 12 }}>{f.name}</a>
+      ))}
+    </div>
+  )
+}
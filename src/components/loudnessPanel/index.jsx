@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(1) : '-inf')
+
+/**
+ * Desktop readout of the master meters shown in VR (MasterMeter): peak/RMS,
+ * momentary/short-term loudness, compressor/limiter gain reduction and the
+ * latched clip warning, which the Reset button clears here and in VR.
+ */
+export default function LoudnessPanel() {
+  const engine = useAudioEngine()
+  const [stats, setStats] = useState(null)
+
+  // every frame, so each read's window overlaps the last and no peak is missed
+  useEffect(() => {
+    let id
+    const poll = () => {
+      setStats({ ...engine.masterStats() })
+      id = requestAnimationFrame(poll)
+    }
+    id = requestAnimationFrame(poll)
+    return () => cancelAnimationFrame(id)
+  }, [engine])
+
+  if (!stats) return null
+  const label = { color: '#94a3b8', fontSize: 12, fontFamily: 'monospace' }
+
+  return (
+    <div style={{ position: 'fixed', zIndex: 10, bottom: 12, left: 12, display: 'flex', gap: 12, alignItems: 'center' }}>
+      <span style={label}>Peak {fmt(stats.peak)} dB</span>
+      <span style={label}>RMS {fmt(stats.rms)} dB</span>
+      <span style={label}>M {fmt(stats.momentary)} / S {fmt(stats.shortTerm)} LUFS</span>
+      <span style={label}>GR comp {stats.compReduction.toFixed(1)} / lim {stats.limiterReduction.toFixed(1)} dB</span>
+      <span style={{ ...label, color: stats.clipped ? '#dc3545' : '#94a3b8' }}>{stats.clipped ? 'CLIP' : 'No clips'}</span>
+      <button onClick={() => { engine.resetClip(); setStats(prev => ({ ...prev, clipped: false })) }} disabled={!stats.clipped}>
+        Reset
+      </button>
+    </div>
+  )
+}
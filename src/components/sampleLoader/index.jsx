@@ -0,0 +1,42 @@
+import { useState, useCallback } from 'react'
+import { SAMPLE_ACCEPT, saveLocalSamples } from '../../audio/samples'
+
+/**
+ * Desktop-only file picker: loads local WAV/MP3/OGG files onto a track and
+ * makes it a sample track. Several files make one multisampled instrument,
+ * split into keyzones by the note in each file name ("C3.wav", "C4.wav").
+ * Files are kept in IndexedDB so the session can refer to them after a
+ * reload. Root note and trim are edited in VR (SamplePanel).
+ */
+export default function SampleLoader({ samples, setSamples, setTrackTypes, status }) {
+  const [track, setTrack] = useState(0)
+  const [error, setError] = useState(null)
+
+  const onFile = useCallback(async (e) => {
+    const files = [...(e.target.files ?? [])]
+    e.target.value = '' // picking the same files again should reload them
+    if (!files.length) return
+    setError(null)
+    try {
+      const entry = await saveLocalSamples(files)
+      setSamples(prev => prev.map((s, t) => (t === track ? entry : s)))
+      setTrackTypes(prev => prev.map((ty, t) => (t === track ? 'sample' : ty)))
+    } catch (err) {
+      setError(`Could not load ${files.map(f => f.name).join(', ')}: ${err?.message ?? err}`)
+    }
+  }, [track, setSamples, setTrackTypes])
+
+  const current = samples?.[track]
+
+  return (
+    <div style={{ position: 'fixed', zIndex: 10, top: 48, left: 12, display: 'flex', gap: 8, alignItems: 'center' }}>
+      <select value={track} onChange={(e) => setTrack(Number(e.target.value))}>
+        {Array.from({ length: 5 }, (_, t) => <option key={t} value={t}>Track {t + 1}</option>)}
+      </select>
+      <input type="file" accept={SAMPLE_ACCEPT} multiple onChange={onFile} />
+      <span style={{ color: error ? '#dc3545' : '#94a3b8', fontSize: 12 }}>
+        {error ?? (current ? `${current.name}, ${current.zones.length} zone${current.zones.length > 1 ? 's' : ''} (${status?.[track] ?? 'loading'})` : 'no sample')}
+      </span>
+    </div>
+  )
+}
@@ -1,8 +1,33 @@
-import { useState, useCallback, useMemo, useEffect } from 'react'
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react'
 import { Canvas } from '@react-three/fiber'
 import { XR } from '@react-three/xr'
 import ConsolePanel from '../../packages/ConsolePanel'
 import BitmapTextProvider from '../bitmapText/bitmapTextProvider'// case sensitive
+import { DIVISIONS, clampBpm, secondsToBeats, stepSecondsFor } from '../../audio/timing'
+import { SWING_RANGE, makeDefaultGrooves, normalizeGrooves } from '../../audio/groove'
+import { usePersistentSession } from '../../hooks/usePersistentSession'
+import { FILTER_DEFAULTS, pickFilter } from '../../audio/filter'
+import { OSC_DEFAULTS, pickOsc } from '../../audio/oscillator'
+import { GLIDE_DEFAULTS, pickGlide } from '../../audio/glide'
+import { clampVelocity } from '../../audio/velocity'
+import { makeDefaultTrackFx, normalizeTrackFx } from '../../audio/trackBus'
+import { makeDefaultRacks, normalizeRacks } from '../../audio/effects'
+import { makeDefaultLfos } from '../../audio/lfo'
+import { drumById } from '../../audio/drumKit'
+import { makeDefaultTrackTypes, normalizeTrackTypes } from '../../audio/trackTypes'
+import { makeDefaultSamples, normalizeSamples } from '../../audio/samples'
+import { useSampleBank } from '../../hooks/useSampleBank'
+import SampleLoader from '../sampleLoader'
+import ExportPanel from '../exportPanel'
+import LoudnessPanel from '../loudnessPanel'
+import SessionStatus from '../sessionStatus'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+import { VOICE_DEFAULTS, normalizeVoiceLimits } from '../../audio/voiceAllocator'
+import { makeDefaultMixer, normalizeMixer, sidechainOf } from '../../audio/mixer'
+import { METRONOME_DEFAULTS, normalizeMetronome } from '../../audio/metronome'
+import { QUANTIZE_DEFAULT, loopPosition, quantizeOffset } from '../../audio/overdub'
+
+const CHORD_WINDOW_MS = 180 // presses closer than this stack into one slot
 
 const makeEmptySeq = () => Array.from({ length: 5 }, () => Array.from({ length: 16 }, () => []))
 
@@ -15,6 +40,10 @@ export default function SceneCanvas({ store }) {
     reverbMix: 0.25, reverbRoomSize: 0.30,
     octave: 0,
     cleanupEps: 0.03,
+    ...OSC_DEFAULTS,
+    ...GLIDE_DEFAULTS,
+    ...FILTER_DEFAULTS,
+    lfos: makeDefaultLfos(),
   })
   const setWaveform = useCallback((wave) => setSynth(s => ({ ...s, waveform: wave })), [])
   const handleADSRChange = useCallback((patch) => setSynth(s => ({ ...s, ...patch })), [])
@@ -26,60 +55,182 @@ export default function SceneCanvas({ store }) {
   const [selectedTrack, setSelectedTrack] = useState(0)
   const [selectedSlots, setSelectedSlots] = useState([0])
   const [recording, setRecording] = useState(false)
+  const [recordMode, setRecordMode] = useState('replace') // 'replace' | 'add' | 'erase'
+  const [chordHold, setChordHold] = useState(false)
+  const [quantize, setQuantize] = useState(QUANTIZE_DEFAULT) // overdub quantize strength 0..1
+  const loopClockRef = useRef(null) // latest step of the running loop, written by the recorder
+  const overdubSkipRef = useRef(new Map()) // overdubbed note -> step time it was already heard at
   const [playing, setPlaying] = useState(false)
   const [mutes, setMutes] = useState(Array(5).fill(false))
-  const [recDuration, setRecDuration] = useState(0.5) // seconds
+  const [bpm, setBpm] = useState(120)
+  const [division, setDivision] = useState('16n') // step length, see DIVISIONS
+  const stepSeconds = useMemo(() => stepSecondsFor(bpm, division), [bpm, division])
+  const [swing, setSwing] = useState(50) // global MPC-style swing, percent
+  const [grooves, setGrooves] = useState(makeDefaultGrooves) // per-track { id, offsets? }
+  const [trackFx, setTrackFx] = useState(makeDefaultTrackFx) // per-track reverb bus
+  const [fxRacks, setFxRacks] = useState(makeDefaultRacks) // insert effects, master + per track
+  const [trackTypes, setTrackTypes] = useState(makeDefaultTrackTypes) // 'synth' | 'drum' | 'sample'
+  const [samples, setSamples] = useState(makeDefaultSamples) // per-track sample reference or null
+  const sampleBank = useSampleBank(samples)
+  const [voiceLimits, setVoiceLimits] = useState(VOICE_DEFAULTS) // { maxVoices, policy }
+  const [mixer, setMixer] = useState(makeDefaultMixer) // track strips + master fader
+  const [metronome, setMetronome] = useState(METRONOME_DEFAULTS) // click + count-in
+
+  // ───────── Audio engine (shared master / bus settings) ─────────
+  const engine = useAudioEngine()
+  useEffect(() => {
+    engine.setLiveReverb({ reverbMix: synth.reverbMix, reverbRoomSize: synth.reverbRoomSize })
+  }, [engine, synth.reverbMix, synth.reverbRoomSize])
+  useEffect(() => {
+    engine.setMasterFx(fxRacks.master, { bpm })
+    engine.setTrackRacks(fxRacks.tracks, { bpm })
+  }, [engine, fxRacks, bpm])
+  useEffect(() => {
+    engine.setVoiceLimits(voiceLimits)
+  }, [engine, voiceLimits])
+  useEffect(() => {
+    engine.setTrackMixes(mixer.tracks)
+    engine.setSidechain(sidechainOf(mixer))
+    engine.setMasterVolume(mixer.master.volume)
+  }, [engine, mixer])
 
   useEffect(() => {
     setSequence(prev => (Array.isArray(prev) && prev.length === 5 ? prev : makeEmptySeq()))
   }, [])
 
-  // capture notes from TonePad while recording
-  const onRecordedNote = useCallback((midi) => {
-  if (!recording) return
-  setSequence(prev => {
-    // clone (shallow) to preserve immutability
-    const next = prev.map(tr => tr.map(sl => Array.isArray(sl) ? [...sl] : []))
+  // ───────── Session persistence ─────────
+  const session = useMemo(() => ({
+    version: 1,
+    sequence, mutes, bpm, division, swing, grooves, trackFx, fxRacks, trackTypes, samples, voiceLimits, mixer, metronome,
+  }), [sequence, mutes, bpm, division, swing, grooves, trackFx, fxRacks, trackTypes, samples, voiceLimits, mixer, metronome])
+
+  const restoreSession = useCallback((saved) => {
+    if (!saved || typeof saved !== 'object') return
+    const seq = saved.sequence
+    if (Array.isArray(seq) && seq.length === 5 && seq.every(t => Array.isArray(t) && t.length === 16)) setSequence(seq)
+    if (Array.isArray(saved.mutes) && saved.mutes.length === 5) setMutes(saved.mutes.map(Boolean))
+    if (Number.isFinite(saved.bpm)) setBpm(clampBpm(saved.bpm))
+    if (DIVISIONS.some(d => d.id === saved.division)) setDivision(saved.division)
+    if (Number.isFinite(saved.swing)) setSwing(Math.min(SWING_RANGE[1], Math.max(SWING_RANGE[0], saved.swing)))
+    setGrooves(normalizeGrooves(saved.grooves))
+    setTrackFx(normalizeTrackFx(saved.trackFx))
+    setFxRacks(normalizeRacks(saved.fxRacks))
+    setTrackTypes(normalizeTrackTypes(saved.trackTypes))
+    setSamples(normalizeSamples(saved.samples))
+    setVoiceLimits(normalizeVoiceLimits(saved.voiceLimits))
+    setMixer(normalizeMixer(saved.mixer))
+    setMetronome(normalizeMetronome(saved.metronome))
+  }, [])
+
+  const sessionError = usePersistentSession('vrbeatmaker.session', session, restoreSession)
 
+  // capture notes from TonePad while recording
+  //  - replace: overwrite the selected slot, then advance
+  //  - add:     stack into the slot; presses inside CHORD_WINDOW_MS (or while
+  //             chord hold is on) land on the same slot as a chord
+  //  - erase:   remove that pitch from the selected slot
+  // While the loop plays this is overdub: the hit goes to the nearest step
+  // instead of the selection (quantized by `quantize`, see overdub), replace
+  // clears that step unless the hit belongs to a chord, add merges into it.
+  const lastRecRef = useRef(null) // { at, track, slot }
+  const onRecordedNote = useCallback((midi, drum, velocity) => {
+    if (!recording) return
     const t = Math.max(0, Math.min(4, selectedTrack))
-    const s = Math.max(0, Math.min(15, selectedSlots[0] ?? 0))
+    const clock = playing ? loopClockRef.current : null
+    const hit = clock ? loopPosition(clock) : null
+    const sel = hit ? hit.slot : Math.max(0, Math.min(15, selectedSlots[0] ?? 0))
+
+    if (recordMode === 'erase') {
+      setSequence(prev => prev.map((tr, ti) => (ti !== t ? tr : tr.map((sl, si) => (
+        si === sel && Array.isArray(sl) ? sl.filter(ev => ev?.midi !== midi) : sl
+      )))))
+      return
+    }
+
+    const now = performance.now()
+    const last = lastRecRef.current
+    const inWindow = !!last && last.track === t && now - last.at <= CHORD_WINDOW_MS
+    const stacking = hit
+      ? inWindow && last.slot === sel
+      : recordMode === 'add' && (chordHold || inWindow)
+    const s = stacking && !chordHold ? last.slot : sel
+    lastRecRef.current = { at: now, track: t, slot: s }
 
-    const newNote = {
+    // store length in beats so tempo changes rescale recorded notes;
+    // drum hits carry their kit voice instead of a synth snapshot
+    const vel = clampVelocity(velocity)
+    const newNote = drumById(drum) ? { midi, drum, velocity: vel, beats: secondsToBeats(synth.duration ?? 0.5, bpm) } : {
       midi,
-      duration: synth.duration ?? 0.5,
+      velocity: vel,
+      beats: secondsToBeats(synth.duration ?? 0.5, bpm),
       synth: {
         waveform: synth.waveform,
         attack: synth.attack, decay: synth.decay, sustain: synth.sustain, release: synth.release,
         reverbMix: synth.reverbMix, reverbRoomSize: synth.reverbRoomSize,
-        cleanupEps: synth.cleanupEps ?? 0.03
+        cleanupEps: synth.cleanupEps ?? 0.03,
+        ...pickOsc(synth),
+        ...pickGlide(synth),
+        ...pickFilter(synth),
+        lfos: synth.lfos,
       }
     }
+    const offset = hit ? quantizeOffset(hit.offset, quantize) : 0
+    if (offset) newNote.offset = offset
+    // heard live just now: don't let the step the loop is about to play repeat it
+    if (hit?.pending) overdubSkipRef.current.set(newNote, hit.at)
 
-    // ✅ OVERWRITE the slot with exactly one note
-    next[t][s] = [newNote]
-
-    return next
-  })
-  // advance selection
-  setSelectedSlots(([s0 = 0]) => [(s0 + 1) % 16])
-}, [recording, selectedTrack, selectedSlots, synth])
+    setSequence(prev => {
+      // clone (shallow) to preserve immutability
+      const next = prev.map(tr => tr.map(sl => Array.isArray(sl) ? [...sl] : []))
+      next[t][s] = recordMode === 'add' || (hit && stacking)
+        ? [...next[t][s].filter(ev => ev?.midi !== midi), newNote] // one voice per pitch
+        : [newNote]
+      return next
+    })
+    // chords stay on their slot; everything else advances the selection (not while overdubbing)
+    if (!stacking && !hit) setSelectedSlots([(s + 1) % 16])
+  }, [recording, playing, recordMode, chordHold, quantize, selectedTrack, selectedSlots, synth, bpm])
 
   const recorder = useMemo(() => ({
     sequence, setSequence,
     selectedTrack, setSelectedTrack,
     selectedSlots, setSelectedSlots,
     recording, setRecording,
+    recordMode, setRecordMode,
+    chordHold, setChordHold,
+    quantize, setQuantize,
+    loopClock: loopClockRef,
+    overdubSkip: overdubSkipRef,
     playing, setPlaying,
     mutes, setMutes,
-    recDuration, setRecDuration,        // ← pass through
+    bpm, setBpm,
+    division, setDivision,
+    stepSeconds,                        // derived from bpm + division
+    swing, setSwing,
+    grooves, setGrooves,
+    trackFx, setTrackFx,
+    fxRacks, setFxRacks,
+    trackTypes, setTrackTypes,
+    samples, setSamples,
+    sampleBank,                         // decoded sample buffers, see useSampleBank
+    voiceLimits, setVoiceLimits,
+    mixer, setMixer,
+    metronome, setMetronome,
     onRecordedNote,
   }), [
-    sequence, selectedTrack, selectedSlots, recording, playing, mutes, recDuration,
-    setSequence, setSelectedTrack, setSelectedSlots, setRecording, setPlaying, setMutes, setRecDuration,
+    sequence, selectedTrack, selectedSlots, recording, recordMode, chordHold, quantize, playing, mutes, bpm, division, stepSeconds, swing, grooves, trackFx, fxRacks, trackTypes,
+    samples, sampleBank, voiceLimits, mixer, metronome,
+    setSequence, setSelectedTrack, setSelectedSlots, setRecording, setPlaying, setMutes, setBpm, setDivision,
+    setSwing, setGrooves, setTrackFx, setFxRacks, setTrackTypes, setRecordMode, setChordHold, setQuantize, setSamples, setVoiceLimits, setMixer, setMetronome,
     onRecordedNote
   ])
 
   return (
+    <>
+    <SampleLoader samples={samples} setSamples={setSamples} setTrackTypes={setTrackTypes} status={sampleBank.status} />
+    <ExportPanel session={session} synth={synth} getSample={sampleBank.getSample} />
+    <LoudnessPanel />
+    <SessionStatus error={sessionError} />
     <Canvas dpr={[1, 2]} camera={{ position: [0, 1.2, 2.2], fov: 60 }}>
        <BitmapTextProvider useMipmaps={false} toneMapped={false}>
       <color attach="background" args={['#000000']} />
@@ -100,5 +251,6 @@ export default function SceneCanvas({ store }) {
       </XR>
       </BitmapTextProvider>
     </Canvas>
+    </>
   )
 }
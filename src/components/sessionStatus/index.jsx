@@ -0,0 +1,12 @@
+/**
+ * Desktop-only notice when the session could not be restored from or saved
+ * to this browser's storage (see usePersistentSession); hidden otherwise.
+ */
+export default function SessionStatus({ error }) {
+  if (!error) return null
+  return (
+    <div style={{ position: 'fixed', zIndex: 10, top: 12, right: 12, color: '#dc3545', fontSize: 12 }}>
+      {error}
+    </div>
+  )
+}
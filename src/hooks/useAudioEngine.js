@@ -0,0 +1,9 @@
+// src/hooks/useAudioEngine.js
+import { useContext } from 'react'
+import { AudioEngineContext } from '../audio/engineContext'
+
+export function useAudioEngine() {
+  const engine = useContext(AudioEngineContext)
+  if (!engine) throw new Error('useAudioEngine must be used within <AudioEngineProvider>')
+  return engine
+}
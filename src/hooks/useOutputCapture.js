@@ -0,0 +1,66 @@
+// src/hooks/useOutputCapture.js
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useAudioEngine } from './useAudioEngine'
+
+const EXT = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/wav': 'wav' }
+
+/**
+ * Live capture of the master output into a list of takes kept in memory
+ * for this visit: [{ id, name, startedAt: Date, stamp, seconds, url, filename }].
+ */
+export function useOutputCapture() {
+  const engine = useAudioEngine()
+  const [capturing, setCapturing] = useState(false)
+  const [takes, setTakes] = useState([])
+  const startedAtRef = useRef(null)
+  const takesRef = useRef(takes)
+  const takeCountRef = useRef(0) // only goes up, so a deleted take's name is never reused
+
+  useEffect(() => { takesRef.current = takes }, [takes])
+  useEffect(() => () => takesRef.current.forEach(t => URL.revokeObjectURL(t.url)), [])
+
+  // Rejects when this browser can't record the output
+  const start = useCallback(async () => {
+    if (capturing) return
+    const ok = await engine.startCapture()
+    if (!ok) throw new Error('MediaRecorder is not available in this browser')
+    startedAtRef.current = new Date()
+    setCapturing(true)
+  }, [engine, capturing])
+
+  // Resolves to the new take (or null); capture is over even if that fails
+  const stop = useCallback(async () => {
+    let blob
+    try {
+      blob = await engine.stopCapture()
+    } finally {
+      setCapturing(false)
+    }
+    const startedAt = startedAtRef.current
+    if (!blob || !startedAt) return null
+    const seconds = (Date.now() - startedAt.getTime()) / 1000
+    const stamp = startedAt.toTimeString().slice(0, 8)
+    const ext = EXT[blob.type.split(';')[0]] ?? 'webm'
+    const take = {
+      id: `${startedAt.getTime()}`,
+      name: `Take ${++takeCountRef.current}`,
+      startedAt,
+      seconds,
+      url: URL.createObjectURL(blob),
+      filename: `vrbeat-take-${startedAt.toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${ext}`,
+      stamp, // HH:MM:SS local start time
+    }
+    setTakes(prev => [...prev, take])
+    return take
+  }, [engine])
+
+  const remove = useCallback((id) => {
+    setTakes(prev => {
+      const gone = prev.find(t => t.id === id)
+      if (gone) URL.revokeObjectURL(gone.url)
+      return prev.filter(t => t.id !== id)
+    })
+  }, [])
+
+  return { capturing, takes, start, stop, remove }
+}
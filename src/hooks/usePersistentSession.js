@@ -0,0 +1,43 @@
+// src/hooks/usePersistentSession.js
+import { useEffect, useRef, useState } from 'react'
+
+/**
+ * Keeps the recorder session (pattern, tempo, groove, ...) in localStorage.
+ * - On mount the stored snapshot (if any) is handed to `onRestore`.
+ * - Afterwards every change to `snapshot` is written back, debounced.
+ * - Nothing is written until the restore ran, so a reload never clobbers
+ *   the saved session with the initial empty state.
+ * Returns a message when the restore failed or the last save did (else null).
+ */
+export function usePersistentSession(key, snapshot, onRestore, { delayMs = 400 } = {}) {
+  const restoredRef = useRef(false)
+  const [restoreError, setRestoreError] = useState(null)
+  const [saveError, setSaveError] = useState(null)
+  const onRestoreRef = useRef(onRestore)
+  useEffect(() => { onRestoreRef.current = onRestore }, [onRestore])
+
+  useEffect(() => {
+    try {
+      const raw = window.localStorage.getItem(key)
+      if (raw) onRestoreRef.current?.(JSON.parse(raw))
+    } catch {
+      setRestoreError('Could not restore the saved session')
+    }
+    restoredRef.current = true
+  }, [key])
+
+  useEffect(() => {
+    if (!restoredRef.current) return
+    const tid = setTimeout(() => {
+      try {
+        window.localStorage.setItem(key, JSON.stringify(snapshot))
+        setSaveError(null)
+      } catch (err) {
+        setSaveError(`Could not save the session: ${err?.message ?? err}`)
+      }
+    }, delayMs)
+    return () => clearTimeout(tid)
+  }, [key, snapshot, delayMs])
+
+  return saveError ?? restoreError
+}
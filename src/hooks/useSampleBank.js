@@ -0,0 +1,63 @@
+// src/hooks/useSampleBank.js
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { loadSampleBuffer } from '../audio/samples'
+
+/**
+ * Decodes the per-track sample instruments (see audio/samples) in the
+ * background. `getSample(track)` is safe to call from the scheduler: it reads
+ * refs only and returns { zones: [{ buffer, root, lo, hi }], start, end } once
+ * every zone's file is ready.
+ * `status[track]` is 'empty' | 'loading' | 'ready' | 'error' for the UI.
+ */
+export function useSampleBank(samples) {
+  const samplesRef = useRef(samples)
+  const buffersRef = useRef([]) // per track: one buffer per zone
+  const keysRef = useRef([]) // which files the buffers were decoded from
+  const [status, setStatus] = useState(() => Array(5).fill('empty'))
+
+  useEffect(() => {
+    samplesRef.current = samples
+    let cancelled = false
+    const setOne = (t, s) => setStatus(prev => (prev[t] === s ? prev : prev.map((v, i) => (i === t ? s : v))))
+
+    for (let t = 0; t < 5; t++) {
+      const sample = samples?.[t]
+      if (!sample) {
+        buffersRef.current[t] = null
+        keysRef.current[t] = null
+        setOne(t, 'empty')
+        continue
+      }
+      // different files: stop playing the old ones while the new ones decode
+      const key = sample.zones.map(z => `${z.source}:${z.ref}`).join('|')
+      if (keysRef.current[t] !== key) {
+        buffersRef.current[t] = null
+        keysRef.current[t] = key
+      }
+      Promise.all(sample.zones.map(loadSampleBuffer)).then(
+        (buffers) => {
+          if (cancelled) return
+          buffersRef.current[t] = buffers
+          setOne(t, 'ready')
+        },
+        () => {
+          if (cancelled) return
+          buffersRef.current[t] = null
+          setOne(t, 'error')
+        }
+      )
+      if (!buffersRef.current[t]) setOne(t, 'loading')
+    }
+    return () => { cancelled = true }
+  }, [samples])
+
+  const getSample = useCallback((track) => {
+    const sample = samplesRef.current?.[track]
+    const buffers = buffersRef.current[track]
+    if (!sample || buffers?.length !== sample.zones.length) return null
+    const zones = sample.zones.map((z, i) => ({ buffer: buffers[i], root: z.root, lo: z.lo, hi: z.hi }))
+    return { zones, start: sample.start, end: sample.end }
+  }, [])
+
+  return useMemo(() => ({ getSample, status }), [getSample, status])
+}
@@ -1,6 +1,10 @@
 // src/hooks/useTonePad.js
-import { useEffect, useMemo, useRef, useCallback } from 'react'
-import * as Tone from 'tone'
+import { useMemo, useCallback } from 'react'
+import { FILTER_DEFAULTS } from '../audio/filter'
+import { OSC_DEFAULTS } from '../audio/oscillator'
+import { GLIDE_DEFAULTS } from '../audio/glide'
+import { useAudioEngine } from './useAudioEngine'
+import { mergeVoiceParams } from '../audio/engine'
 
 // ───────────────────────────────── Helpers ────────────────────────────────
 const noteToMidi = (name) => {
@@ -11,10 +15,11 @@ const noteToMidi = (name) => {
   const oct = parseInt(m[2], 10)
   return 12 * (oct + 1) + semis
 }
-const clamp01 = (v) => Math.max(0, Math.min(1, v))
-const atLeast = (v, m) => (Number.isFinite(v) ? Math.max(m, v) : m)
+const NO_LFOS = []
 
 // ───────────────────────────────── Hook ───────────────────────────────────
+// Voice parameters for the shared audio engine (see audio/engine). The master
+// bus, track buses and their effects are owned by the engine, not by callers.
 export function useTonePad({
   waveform = 'sine',
   attack = 0.02,
@@ -22,169 +27,78 @@ export function useTonePad({
   sustain = 0.8,
   release = 0.25,
 
-  reverbMix = 0.25,
-  reverbRoomSize = 0.3,
-  masterGain = 0.7,
+  // oscillator family parameters (see audio/oscillator)
+  harmonicity = OSC_DEFAULTS.harmonicity,
+  modulationIndex = OSC_DEFAULTS.modulationIndex,
+  fatCount = OSC_DEFAULTS.fatCount,
+  fatSpread = OSC_DEFAULTS.fatSpread,
+  pulseWidth = OSC_DEFAULTS.pulseWidth,
+  partials = OSC_DEFAULTS.partials,
 
-  cleanupEps = 0.03,
-} = {}) {
-  const startedRef   = useRef(false)
-  const freeverbRef  = useRef(null)
-  const compRef      = useRef(null)
-  const masterVolRef = useRef(null)
-  const limiterRef   = useRef(null)
-
-  // value = absolute stop time (Tone.now() seconds) after release+cleanup
-  const busyUntilRef = useRef(new Map()) // midi -> number
-
-  // Build the shared FX chain once
-  useEffect(() => {
-    if (!freeverbRef.current) {
-      const freeverb = new Tone.Freeverb({
-        roomSize: clamp01(reverbRoomSize),
-        dampening: 3000,
-        wet: clamp01(reverbMix),
-      })
-      const comp = new Tone.Compressor({ threshold: -12, ratio: 3, attack: 0.003, release: 0.25 })
-      const vol = new Tone.Volume(Tone.gainToDb(clamp01(masterGain)))
-      const limiter = new Tone.Limiter(-1)
-
-      freeverb.connect(comp)
-      comp.connect(vol)
-      vol.connect(limiter)
-      limiter.toDestination()
-
-      freeverbRef.current  = freeverb
-      compRef.current      = comp
-      masterVolRef.current = vol
-      limiterRef.current   = limiter
-    }
-  }, []) // keep chain for app lifetime
-
-  // Live-update FX params for the "default" chain values
-  useEffect(() => {
-    const f = freeverbRef.current
-    if (f) f.wet.value = clamp01(reverbMix)
-  }, [reverbMix])
-  useEffect(() => {
-    const f = freeverbRef.current
-    if (f?.roomSize) f.roomSize.value = clamp01(reverbRoomSize)
-  }, [reverbRoomSize])
-  useEffect(() => {
-    const vol = masterVolRef.current
-    if (vol) vol.volume.value = Tone.gainToDb(clamp01(masterGain))
-  }, [masterGain])
-
-  const ensureAudio = useCallback(async () => {
-    if (!startedRef.current) {
-      startedRef.current = true
-      try { await Tone.start() } catch {}
-    }
-  }, [])
-
-  // Lower-level voice spawner that accepts an explicit parameter set
-  const playMidiWith = useCallback(async (params, midi, durationSec) => {
-    if (midi == null) return false
-    await ensureAudio()
-    if (!freeverbRef.current) return false
-
-    const now = Tone.now()
-    const existingStop = busyUntilRef.current.get(midi) ?? -Infinity
-    if (now < existingStop - 1e-4) return false
-
-    const freq = 440 * Math.pow(2, (midi - 69) / 12)
-
-    const env = new Tone.AmplitudeEnvelope({
-      attack : atLeast(params.attack, 0.001),
-      decay  : atLeast(params.decay , 0.01),
-      sustain: clamp01(params.sustain),
-      release: atLeast(params.release, 0.02),
-      attackCurve: 'sine',
-      releaseCurve: 'exponential',
-    })
-    const osc = new Tone.Oscillator({
-      type: params.waveform,
-      frequency: freq,
-      volume: -9,
-    })
-    const voiceGain = new Tone.Gain(1)
+  voiceMode = GLIDE_DEFAULTS.voiceMode, // 'poly' | 'mono' | 'legato' (see audio/glide)
+  glide = GLIDE_DEFAULTS.glide,
 
-    osc.connect(env)
-    env.connect(voiceGain)
-
-    // Use the shared Freeverb; set its wet/room only if overrides are present
-    // (we do NOT mutate the shared instance permanently for per-voice overrides;
-    // the "recorded" params are used for envelope+osc; FX character is close
-    // enough via the global chain; if you want per-voice FX, add a per-voice Freeverb.)
-    voiceGain.connect(freeverbRef.current)
-
-    const dur    = atLeast(durationSec ?? 0.5, 0.01)
-    const rel    = Number(env.release ?? 0.25)
-    const tail   = Math.max(0, params.cleanupEps ?? cleanupEps)
-    const stopAt = now + dur + rel + tail
-
-    busyUntilRef.current.set(midi, stopAt)
-
-    osc.start(now)
-    env.triggerAttack(now)
-    env.triggerRelease(now + dur)
-
-    const vg = voiceGain.gain
-    vg.cancelScheduledValues(now)
-    vg.setValueAtTime(vg.value, now)
-    const microRampEnd = stopAt + 0.012
-    vg.linearRampToValueAtTime(0, microRampEnd)
-
-    const oscStopTime = microRampEnd + 0.01
-    osc.stop(oscStopTime)
-
-    const cleanupDelayMs = (oscStopTime - now + 0.06) * 1000
-    const tid = setTimeout(() => {
-      try { osc.disconnect() } catch {}
-      try { env.disconnect() } catch {}
-      try { voiceGain.disconnect() } catch {}
-      try { osc.dispose() } catch {}
-      try { env.dispose() } catch {}
-      try { voiceGain.dispose() } catch {}
-      if ((busyUntilRef.current.get(midi) ?? -Infinity) <= stopAt + 1e-6) {
-        busyUntilRef.current.delete(midi)
-      }
-    }, cleanupDelayMs)
-    void tid
-
-    return true
-  }, [ensureAudio, cleanupEps])
-
-  // Default-params wrapper
-  const playMidi = useCallback((midi, durationSec) => {
-    return playMidiWith(
-      { waveform, attack, decay, sustain, release, cleanupEps },
-      midi,
-      durationSec
-    )
-  }, [playMidiWith, waveform, attack, decay, sustain, release, cleanupEps])
+  cleanupEps = 0.03,
 
-  const triggerNote = useCallback((noteOrMidi, durationSec) => {
+  filterType = FILTER_DEFAULTS.filterType,
+  filterCutoff = FILTER_DEFAULTS.filterCutoff,
+  filterQ = FILTER_DEFAULTS.filterQ,
+  filterKeyTrack = FILTER_DEFAULTS.filterKeyTrack,
+  filterEnvAmount = FILTER_DEFAULTS.filterEnvAmount,
+  filterVelocity = FILTER_DEFAULTS.filterVelocity,
+  filterAttack = FILTER_DEFAULTS.filterAttack,
+  filterDecay = FILTER_DEFAULTS.filterDecay,
+  filterSustain = FILTER_DEFAULTS.filterSustain,
+  filterRelease = FILTER_DEFAULTS.filterRelease,
+
+  lfos = NO_LFOS, // see audio/lfo: [{ target, waveform, rate, sync, depth, retrigger }]
+  sample = null,  // { zones, start, end } replaces the oscillator (see audio/samples)
+} = {}) {
+  const engine = useAudioEngine()
+
+  // Move a track's reverb send/room at an audio-clock time
+  const setTrackFx = useCallback((track, fx, time) => {
+    engine.setTrackFx(track, fx, time)
+  }, [engine])
+
+  // Percussion: one kit per track bus (plus one for live pads on the shared Freeverb)
+  const triggerDrum = useCallback((drum, time, opts = {}) => {
+    return engine.triggerDrum(drum, time, opts)
+  }, [engine])
+
+  // Current (live) voice parameters; recorded snapshots fall back to these
+  const voiceDefaults = useMemo(() => ({
+    waveform, attack, decay, sustain, release, cleanupEps,
+    harmonicity, modulationIndex, fatCount, fatSpread, pulseWidth, partials,
+    voiceMode, glide,
+    filterType, filterCutoff, filterQ, filterKeyTrack, filterEnvAmount, filterVelocity,
+    filterAttack, filterDecay, filterSustain, filterRelease,
+    lfos, sample,
+  }), [
+    waveform, attack, decay, sustain, release, cleanupEps,
+    harmonicity, modulationIndex, fatCount, fatSpread, pulseWidth, partials,
+    voiceMode, glide,
+    filterType, filterCutoff, filterQ, filterKeyTrack, filterEnvAmount, filterVelocity,
+    filterAttack, filterDecay, filterSustain, filterRelease,
+    lfos, sample,
+  ])
+
+  // `time` is an absolute audio-clock time (e.g. from the transport); omit it
+  // to play immediately. `opts.track` routes the voice into that track's bus,
+  // `opts.velocity` (0..1) sets how hard it is played.
+  const triggerNote = useCallback((noteOrMidi, durationSec, time, opts) => {
     const m = typeof noteOrMidi === 'string' ? noteToMidi(noteOrMidi) : noteOrMidi
-    return playMidi(m, durationSec)
-  }, [playMidi])
+    return engine.playVoice(voiceDefaults, m, durationSec, time, opts)
+  }, [engine, voiceDefaults])
 
-  // NEW: trigger with explicit parameter overrides (used by recorder playback)
-  const triggerNoteWith = useCallback((params, noteOrMidi, durationSec) => {
+  // Trigger with explicit parameter overrides (used by recorder playback)
+  const triggerNoteWith = useCallback((params, noteOrMidi, durationSec, time, opts) => {
     const m = typeof noteOrMidi === 'string' ? noteToMidi(noteOrMidi) : noteOrMidi
-    return playMidiWith(
-      {
-        waveform: params.waveform ?? waveform,
-        attack: params.attack ?? attack,
-        decay: params.decay ?? decay,
-        sustain: params.sustain ?? sustain,
-        release: params.release ?? release,
-        cleanupEps: params.cleanupEps ?? cleanupEps,
-      },
-      m,
-      durationSec
-    )
-  }, [playMidiWith, waveform, attack, decay, sustain, release, cleanupEps])
+    return engine.playVoice(mergeVoiceParams(voiceDefaults, params), m, durationSec, time, opts)
+  }, [engine, voiceDefaults])
 
-  return useMemo(() => ({ triggerNote, triggerNoteWith }), [triggerNote, triggerNoteWith])
+  return useMemo(
+    () => ({ triggerNote, triggerNoteWith, triggerDrum, setTrackFx }),
+    [triggerNote, triggerNoteWith, triggerDrum, setTrackFx]
+  )
 }
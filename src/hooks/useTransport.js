@@ -0,0 +1,83 @@
+// src/hooks/useTransport.js
+import { useEffect, useRef, useCallback, useMemo } from 'react'
+import * as Tone from 'tone'
+import { LOOKAHEAD_SEC } from '../audio/timing'
+
+/**
+ * Step transport on the audio clock (Tone.Transport + Tone.Loop).
+ * - Steps are scheduled ahead of time inside the context's lookahead window,
+ *   so `onStep(step, time)` receives the exact audio time to trigger voices at.
+ * - `onDraw(step, info)` is deferred through Tone.Draw so visuals (playhead) land on
+ *   the animation frame closest to when the step is actually heard; `info`
+ *   is whatever `onStep` returned for that step.
+ * - Tempo lives on the Transport, so `interval` may be musical ('16n', '8t').
+ * - Only one sequencer drives the global Transport at a time.
+ */
+export function useTransport({
+  steps = 16,
+  bpm = 120,
+  interval = '16n', // step length in Tone time (relative to bpm)
+  lookAhead = LOOKAHEAD_SEC,
+  onStep,
+  onDraw,
+} = {}) {
+  const loopRef  = useRef(null)
+  const stepRef  = useRef(0)
+  const runIdRef = useRef(0) // guards against stop() racing an async start()
+
+  const onStepRef = useRef(onStep)
+  const onDrawRef = useRef(onDraw)
+  useEffect(() => { onStepRef.current = onStep }, [onStep])
+  useEffect(() => { onDrawRef.current = onDraw }, [onDraw])
+
+  const intervalRef = useRef(interval)
+
+  // Tempo and step length update live without restarting the loop
+  useEffect(() => {
+    Tone.getTransport().bpm.value = bpm
+  }, [bpm])
+  useEffect(() => {
+    intervalRef.current = interval
+    if (loopRef.current) loopRef.current.interval = interval
+  }, [interval])
+
+  const stop = useCallback(() => {
+    runIdRef.current++
+    const loop = loopRef.current
+    loopRef.current = null
+    if (loop) {
+      loop.stop()
+      loop.dispose()
+    }
+    const transport = Tone.getTransport()
+    transport.stop()
+    transport.cancel(0)
+    Tone.getDraw().cancel(0)
+  }, [])
+
+  const start = useCallback(async (startFrom = 0) => {
+    stop()
+    const runId = runIdRef.current
+    try { await Tone.start() } catch { /* resumed on next gesture */ }
+    if (runId !== runIdRef.current) return
+
+    Tone.getContext().lookAhead = lookAhead
+    stepRef.current = ((startFrom % steps) + steps) % steps
+
+    const loop = new Tone.Loop((time) => {
+      const s = stepRef.current
+      const info = onStepRef.current?.(s, time)
+      Tone.getDraw().schedule(() => onDrawRef.current?.(s, info), time)
+      stepRef.current = (s + 1) % steps
+    }, intervalRef.current)
+
+    loopRef.current = loop
+    loop.start(0)
+    Tone.getTransport().start()
+  }, [stop, steps, lookAhead])
+
+  // Never leave the Transport running after unmount
+  useEffect(() => stop, [stop])
+
+  return useMemo(() => ({ start, stop }), [start, stop])
+}
@@ -26,6 +26,10 @@ export default function ADSRController({
   waveform = 'sine',
   reverbMix = 0.25,
   reverbRoomSize = 0.30,
+  filter, // filter section fields, saved alongside the envelope
+  osc, // oscillator family parameters (see audio/oscillator)
+  voice, // voice mode + portamento (see audio/glide)
+  lfos,
 
   A_RANGE = [0.005, 2.0],
   D_RANGE = [0.01, 2.0],
@@ -119,6 +123,10 @@ export default function ADSRController({
             duration,
             reverbMix,
             reverbRoomSize,
+            ...osc,
+            ...voice,
+            ...filter,
+            lfos,
           }}
           onLoadInstrument={onLoadInstrument}
         />
@@ -0,0 +1,173 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+import { useDisposable } from '../../hooks/useDisposable'
+
+function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const SOURCES = ['master', 0, 1, 2, 3, 4]
+const sourceLabel = (s) => (s === 'master' ? 'Master' : `Track ${s + 1}`)
+
+const FFT_SIZE = 256
+const WAVE_SIZE = 256
+const DB_FLOOR = -100
+
+// Log-spaced FFT bins for `bars` bars (skipping DC)
+function barBins(bars, fftSize) {
+  const top = fftSize - 1
+  return Array.from({ length: bars }, (_, i) => Math.min(top, Math.max(1, Math.round(Math.pow(top, i / (bars - 1))))))
+}
+
+// Spectrum bars (one InstancedMesh) + oscilloscope line, both updated in
+// place every frame from the engine scope
+function Display({ scopeRef, width, height, bars, barColor, lineColor }) {
+  const barsRef = useRef()
+  const bins = useMemo(() => barBins(bars, FFT_SIZE), [bars])
+  const dummy = useMemo(() => new THREE.Object3D(), [])
+  const barW = width / bars
+
+  const barGeo = useDisposable(() => new THREE.BoxGeometry(barW * 0.8, 1, 0.01), [barW])
+  const barMat = useDisposable(() => new THREE.MeshBasicMaterial({ color: barColor }), [barColor])
+  const lineGeo = useDisposable(() => {
+    const g = new THREE.BufferGeometry()
+    g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(WAVE_SIZE * 3), 3))
+    return g
+  }, [])
+  const lineMat = useDisposable(() => new THREE.LineBasicMaterial({ color: lineColor }), [lineColor])
+  const line = useMemo(() => new THREE.Line(lineGeo, lineMat), [lineGeo, lineMat])
+
+  useFrame(() => {
+    const scope = scopeRef.current
+    const inst = barsRef.current
+    if (!scope || !inst) return
+
+    // spectrum: bottom half of the display
+    const spec = scope.spectrum()
+    const specH = height * 0.5
+    for (let i = 0; i < bars; i++) {
+      const db = spec[bins[i]]
+      const fill = Number.isFinite(db) ? Math.min(1, Math.max(0.01, (db - DB_FLOOR) / -DB_FLOOR)) : 0.01
+      dummy.position.set(-width / 2 + barW * (i + 0.5), -height / 2 + (specH * fill) / 2, 0)
+      dummy.scale.set(1, specH * fill, 1)
+      dummy.updateMatrix()
+      inst.setMatrixAt(i, dummy.matrix)
+    }
+    inst.instanceMatrix.needsUpdate = true
+
+    // oscilloscope: top half
+    const wave = scope.waveform()
+    const pos = lineGeo.attributes.position.array
+    const midY = height * 0.25
+    for (let i = 0; i < WAVE_SIZE; i++) {
+      pos[i * 3] = -width / 2 + (width * i) / (WAVE_SIZE - 1)
+      pos[i * 3 + 1] = midY + wave[i] * height * 0.22
+      pos[i * 3 + 2] = 0.005
+    }
+    lineGeo.attributes.position.needsUpdate = true
+  })
+
+  return (
+    <group>
+      <mesh position={[0, 0, -0.01]}>
+        <planeGeometry args={[width * 1.04, height * 1.08]} />
+        <meshBasicMaterial color="#0f172a" />
+      </mesh>
+      <instancedMesh ref={barsRef} args={[barGeo, barMat, bars]} frustumCulled={false} />
+      <primitive object={line} frustumCulled={false} />
+    </group>
+  )
+}
+
+/**
+ * Spectrum + oscilloscope of the master (or one track) on an upright screen.
+ * The controls lie flat on the console; switching the display off removes
+ * the analysers from the audio graph and stops all per-frame work.
+ */
+export default function AudioVisualizer({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.12,
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+
+  displayPosition = [0.2, 0.2, -0.25], // relative to the controls
+  width = 0.8,
+  height = 0.3,
+  bars = 48,
+  barColor = '#22c55e',
+  lineColor = '#f08c00',
+  defaultOn = false,
+}) {
+  const engine = useAudioEngine()
+  const [on, setOn] = useState(defaultOn)
+  const [source, setSource] = useState('master')
+  const scopeRef = useRef(null)
+
+  useEffect(() => {
+    if (!on) return
+    const scope = engine.createScope(source, { fftSize: FFT_SIZE, waveSize: WAVE_SIZE })
+    scopeRef.current = scope
+    return () => {
+      scopeRef.current = null
+      scope.dispose()
+    }
+  }, [engine, on, source])
+
+  const nextSource = SOURCES[(SOURCES.indexOf(source) + 1) % SOURCES.length]
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <PressablePlanesButton
+        mode="toggle"
+        position={[0, 0, 0]}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        showLabel
+        labelColor="#000000"
+        label="Scope"
+        controlledIsOn={on}
+        onToggle={setOn}
+      />
+      <PressablePlanesButton
+        mode="long-press"
+        position={[gapX, 0, 0]}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        showLabel
+        labelColor="#000000"
+        label={sourceLabel(source)}
+        onPressed={() => setSource(nextSource)}
+      />
+      <Plate position={[gapX / 2, 0, -0.075]} size={[0.24, 0.06]} text={on ? 'Analyser on' : 'Analyser off'} />
+
+      {on && (
+        <group position={displayPosition}>
+          <Display scopeRef={scopeRef} width={width} height={height} bars={bars} barColor={barColor} lineColor={lineColor} />
+        </group>
+      )}
+    </group>
+  )
+}
@@ -1,7 +1,23 @@
+import { useMemo } from 'react'
 import WaveTypeSelector from '../WaveTypeSelector'
 import ADSRController from '../ADSRController'
 import TonePad from '../TonePad'
 import PlayBackRecorder from '../PlayBackRecorder'
+import FilterController from '../FilterController'
+import EffectsRack from '../EffectsRack'
+import LFOController from '../LFOController'
+import SamplePanel from '../SamplePanel'
+import VoiceMonitor from '../VoiceMonitor'
+import Mixer from '../Mixer'
+import MasterMeter from '../MasterMeter'
+import TakesPanel from '../TakesPanel'
+import AudioVisualizer from '../AudioVisualizer'
+import WavetableEditor from '../WavetableEditor'
+import GlideController from '../GlideController'
+import { normalizeLfos } from '../../audio/lfo'
+import { pickFilter } from '../../audio/filter'
+import { pickOsc } from '../../audio/oscillator'
+import { pickGlide } from '../../audio/glide'
 
 export default function ConsolePanel({
   position = [0, 0.9, -0.35],
@@ -18,12 +34,36 @@ export default function ConsolePanel({
     selectedTrack, setSelectedTrack,
     selectedSlots, setSelectedSlots,
     recording, setRecording,
+    recordMode, setRecordMode,
+    chordHold, setChordHold,
+    quantize, setQuantize,
+    loopClock, overdubSkip,
     playing, setPlaying,
     mutes, setMutes,
-    recDuration, setRecDuration,
+    bpm, setBpm,
+    division, setDivision,
+    stepSeconds,
+    swing, setSwing,
+    grooves, setGrooves,
+    trackFx, setTrackFx,
+    fxRacks, setFxRacks,
+    trackTypes, setTrackTypes,
+    samples, setSamples,
+    sampleBank,
+    voiceLimits, setVoiceLimits,
+    mixer, setMixer,
+    metronome, setMetronome,
     onRecordedNote, // you provide this from parent to capture TonePad notes when recording
   } = recorder
 
+  // live pads on a sample track play that track's sample
+  // (re-read when the track's entry changes, e.g. a new root note or trim)
+  const selSample = samples?.[selectedTrack]
+  const liveSample = useMemo(
+    () => (selSample && trackTypes[selectedTrack] === 'sample' ? sampleBank.getSample(selectedTrack) : null),
+    [trackTypes, selectedTrack, sampleBank, selSample]
+  )
+
   return (
     <group position={position} rotation={rotation} scale={[scale, scale, scale]}>
       <WaveTypeSelector
@@ -33,6 +73,8 @@ export default function ConsolePanel({
         buttonScale={0.6}
         selected={synth.waveform}
         onChange={onWaveChange}
+        params={pickOsc(synth)}
+        onParamsChange={onSynthPatch}
       />
 
       <ADSRController
@@ -48,6 +90,10 @@ export default function ConsolePanel({
         waveform={synth.waveform}
         reverbMix={synth.reverbMix}
         reverbRoomSize={synth.reverbRoomSize}
+        filter={pickFilter(synth)}
+        osc={pickOsc(synth)}
+        voice={pickGlide(synth)}
+        lfos={synth.lfos}
         onChange={onADSRChange}
         onLoadInstrument={(settings) => {
           onWaveChange(settings.waveform)
@@ -59,6 +105,10 @@ export default function ConsolePanel({
             duration: settings.duration,
             reverbMix: settings.reverbMix,
             reverbRoomSize: settings.reverbRoomSize,
+            ...pickOsc(settings),
+            ...pickGlide(settings),
+            ...pickFilter(settings),
+            lfos: normalizeLfos(settings.lfos),
           })
         }}
         showInfoPanel
@@ -68,6 +118,87 @@ export default function ConsolePanel({
         instrumentsPanelOffset={[0.32, 0, -0.35]}
       />
 
+      <FilterController
+        position={[0.17, 0.0, 0.2]}
+        gridSpacingX={0.12}
+        gridSpacingZ={0.12}
+        size={[0.1, 0.1]}
+        {...pickFilter(synth)}
+        onChange={onSynthPatch}
+      />
+
+      <LFOController
+        position={[0.11, 0.0, 0.62]}
+        size={[0.085, 0.085]}
+        lfos={synth.lfos}
+        onChange={onSynthPatch}
+      />
+
+      <WavetableEditor
+        position={[-0.98, 0.0, 0.1]}
+        size={[0.085, 0.085]}
+        partials={synth.partials}
+        active={synth.waveform === 'custom'}
+        onChange={(partials) => onSynthPatch({ waveform: 'custom', partials })}
+      />
+
+      <AudioVisualizer
+        position={[-0.62, 0.0, -0.5]}
+        size={[0.085, 0.085]}
+        displayPosition={[0.35, 0.2, -0.1]}
+      />
+
+      <EffectsRack
+        position={[-0.62, 0.0, -0.28]}
+        size={[0.085, 0.085]}
+        racks={fxRacks}
+        setRacks={setFxRacks}
+      />
+
+      <SamplePanel
+        position={[-0.62, 0.0, 0.36]}
+        size={[0.085, 0.085]}
+        selectedTrack={selectedTrack}
+        samples={samples}
+        setSamples={setSamples}
+        setTrackTypes={setTrackTypes}
+        status={sampleBank.status}
+      />
+
+      <VoiceMonitor
+        position={[-0.62, 0.0, 0.7]}
+        size={[0.085, 0.085]}
+        voiceLimits={voiceLimits}
+        setVoiceLimits={setVoiceLimits}
+      />
+
+      <GlideController
+        position={[-0.22, 0.0, 0.7]}
+        size={[0.085, 0.085]}
+        voiceMode={synth.voiceMode}
+        glide={synth.glide}
+        onChange={onSynthPatch}
+      />
+
+      <TakesPanel
+        position={[-0.62, 0.0, 0.92]}
+        size={[0.085, 0.085]}
+      />
+
+      <Mixer
+        position={[1.0, 0.0, 0.62]}
+        size={[0.085, 0.085]}
+        mixer={mixer}
+        setMixer={setMixer}
+        mutes={mutes}
+        setMutes={setMutes}
+      />
+
+      <MasterMeter
+        position={[1.85, 0.0, 0.62]}
+        size={[0.085, 0.085]}
+      />
+
       {/* Playback + Visualizer live inside this module now */}
       <PlayBackRecorder
         position={[1.045, 0.0, -0.2]}
@@ -76,9 +207,23 @@ export default function ConsolePanel({
         selectedTrack={selectedTrack} setSelectedTrack={setSelectedTrack}
         selectedSlots={selectedSlots} setSelectedSlots={setSelectedSlots}
         recording={recording} setRecording={setRecording}
+        recordMode={recordMode} setRecordMode={setRecordMode}
+        chordHold={chordHold} setChordHold={setChordHold}
+        quantize={quantize} setQuantize={setQuantize}
+        loopClock={loopClock}
+        overdubSkip={overdubSkip}
         playing={playing} setPlaying={setPlaying}
         mutes={mutes} setMutes={setMutes}
-        recDuration={recDuration} setRecDuration={setRecDuration}
+        bpm={bpm} setBpm={setBpm}
+        division={division} setDivision={setDivision}
+        stepSeconds={stepSeconds}
+        swing={swing} setSwing={setSwing}
+        grooves={grooves} setGrooves={setGrooves}
+        trackFx={trackFx} setTrackFx={setTrackFx}
+        trackTypes={trackTypes} setTrackTypes={setTrackTypes}
+        sampleBank={sampleBank}
+        mixer={mixer}
+        metronome={metronome} setMetronome={setMetronome}
       />
 
       {/* TonePad (records into current slot when recording is ON) */}
@@ -86,7 +231,9 @@ export default function ConsolePanel({
         position={[0.85, 0, -0.075]}
         synth={synth}
         onChange={onSynthPatch}
-        onNote={(midi) => onRecordedNote?.(midi)}
+        kit={trackTypes[selectedTrack] === 'drum'}
+        sample={liveSample}
+        onNote={(midi, drum, velocity) => onRecordedNote?.(midi, drum, velocity)}
       />
     </group>
   )
@@ -0,0 +1,150 @@
+import { useCallback, useMemo, useState } from 'react'
+import Dial from '../../components/dial'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { EFFECTS, EFFECT_TYPES, MAX_RACK_SIZE, makeEffect } from '../../audio/effects'
+
+function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const TARGETS = ['Master', 'Track 1', 'Track 2', 'Track 3', 'Track 4', 'Track 5']
+
+/**
+ * Insert effects rack editor.
+ * - Target dial picks the master rack or one of the five track racks.
+ * - Add / remove / reorder effects; the selected effect's params get dials.
+ * - `racks` is { master: [], tracks: [[] x5] } (see audio/effects).
+ */
+export default function EffectsRack({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.12,
+  gapZ = 0.14,
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+  selectedColor = '#22c55e',
+
+  racks,
+  setRacks,
+}) {
+  const [target, setTarget] = useState(0) // 0 = master, 1..5 = tracks
+  const [selected, setSelected] = useState(0)
+  const [addType, setAddType] = useState(EFFECT_TYPES[0])
+
+  const rack = useMemo(
+    () => (target === 0 ? racks?.master : racks?.tracks?.[target - 1]) ?? [],
+    [racks, target]
+  )
+  const current = rack[Math.min(selected, rack.length - 1)]
+
+  const updateRack = useCallback((fn) => {
+    setRacks(prev => {
+      if (target === 0) return { ...prev, master: fn(prev.master) }
+      return { ...prev, tracks: prev.tracks.map((r, i) => (i === target - 1 ? fn(r) : r)) }
+    })
+  }, [setRacks, target])
+
+  const onTargetDial = useCallback((v) => {
+    setTarget(Math.round(Math.min(TARGETS.length - 1, Math.max(0, v))))
+    setSelected(0)
+  }, [])
+
+  const cycleAddType = useCallback(() => {
+    const i = EFFECT_TYPES.indexOf(addType)
+    setAddType(EFFECT_TYPES[(i + 1) % EFFECT_TYPES.length])
+  }, [addType])
+
+  const addEffect = useCallback(() => {
+    if (rack.length >= MAX_RACK_SIZE) return
+    updateRack(r => [...r, makeEffect(addType)])
+    setSelected(rack.length)
+  }, [rack.length, updateRack, addType])
+
+  const removeEffect = useCallback(() => {
+    if (!current) return
+    updateRack(r => r.filter(fx => fx.id !== current.id))
+    setSelected(s => Math.max(0, s - 1))
+  }, [current, updateRack])
+
+  const moveEffect = useCallback((dir) => {
+    if (!current) return
+    const from = rack.indexOf(current)
+    const to = from + dir
+    if (to < 0 || to >= rack.length) return
+    updateRack(r => {
+      const next = [...r]
+      ;[next[from], next[to]] = [next[to], next[from]]
+      return next
+    })
+    setSelected(to)
+  }, [current, rack, updateRack])
+
+  const setParam = useCallback((key, value) => {
+    if (!current) return
+    updateRack(r => r.map(fx => (fx.id === current.id ? { ...fx, params: { ...fx.params, [key]: value } } : fx)))
+  }, [current, updateRack])
+
+  // Row 0: target + add, row 1: chain slots, row 2: edit, row 3: param dials
+  const at = (col, row) => [col * gapX, 0, row * gapZ]
+  const labelAt = (col, row) => [col * gapX, 0, row * gapZ - 0.075]
+  const btn = { mode: 'long-press', size, baseColor: padBaseColor, buttonColor: padButtonColor, showLabel: true, labelColor: '#000000' }
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <Dial position={at(0, 0)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={[0, TARGETS.length - 1]} value={target} onChange={onTargetDial} />
+      <Plate position={labelAt(0, 0)} text={`Rack: ${TARGETS[target]}`} />
+
+      <PressablePlanesButton {...btn} position={at(1, 0)} label={EFFECTS[addType].label} onPressed={cycleAddType} />
+      <PressablePlanesButton {...btn} position={at(2, 0)} label="Add" buttonColor={selectedColor}
+        onPressed={addEffect} />
+      <Plate position={labelAt(1.5, 0)} size={[0.24, 0.06]} text={`${rack.length}/${MAX_RACK_SIZE} inserts`} />
+
+      {Array.from({ length: MAX_RACK_SIZE }).map((_, i) => {
+        const fx = rack[i]
+        return (
+          <PressablePlanesButton
+            key={`fx-slot-${i}-${fx?.id ?? 'empty'}`}
+            {...btn}
+            position={at(i, 1)}
+            buttonColor={fx && fx === current ? selectedColor : padButtonColor}
+            label={fx ? `${i + 1} ${EFFECTS[fx.type].label}` : `${i + 1} -`}
+            onPressed={() => { if (fx) setSelected(i) }}
+          />
+        )
+      })}
+
+      <PressablePlanesButton {...btn} position={at(0, 2)} label="Remove" buttonColor="#dc3545" onPressed={removeEffect} />
+      <PressablePlanesButton {...btn} position={at(1, 2)} label="< Move" onPressed={() => moveEffect(-1)} />
+      <PressablePlanesButton {...btn} position={at(2, 2)} label="Move >" onPressed={() => moveEffect(1)} />
+
+      {current && EFFECTS[current.type].params.map((p, i) => (
+        <group key={`${current.id}-${p.key}`}>
+          <Dial position={at(i, 3)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={p.range} value={current.params[p.key]}
+            onChange={(v) => setParam(p.key, p.step ? Math.round(v / p.step) * p.step : +v.toFixed(3))} />
+          <Plate position={labelAt(i, 3)} size={[0.12, 0.06]} text={`${p.label} ${p.format(current.params[p.key])}`} />
+        </group>
+      ))}
+    </group>
+  )
+}
@@ -0,0 +1,138 @@
+import { useMemo } from 'react'
+import Roller from '../../components/roller'
+import Dial from '../../components/dial'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import {
+  FILTER_DEFAULTS, FILTER_TYPES, CUTOFF_RANGE, Q_RANGE, ENV_AMOUNT_RANGE,
+} from '../../audio/filter'
+
+// Cutoff dial is logarithmic: 0..1 ↔ CUTOFF_RANGE
+const [CUT_LO, CUT_HI] = CUTOFF_RANGE
+const hzToDial = (hz) => Math.log(Math.max(CUT_LO, hz) / CUT_LO) / Math.log(CUT_HI / CUT_LO)
+const dialToHz = (v) => CUT_LO * Math.pow(CUT_HI / CUT_LO, Math.min(1, Math.max(0, v)))
+
+export default function FilterController({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+
+  gridSpacingX = 0.12,
+  gridSpacingZ = 0.12,
+
+  size = [0.085, 0.085],
+  rollerBaseColor = '#324966',
+  rollerColor = '#2dd4bf',
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
+  typeButtonColor = '#2563eb',
+
+  filterType = FILTER_DEFAULTS.filterType,
+  filterCutoff = FILTER_DEFAULTS.filterCutoff,
+  filterQ = FILTER_DEFAULTS.filterQ,
+  filterKeyTrack = FILTER_DEFAULTS.filterKeyTrack,
+  filterEnvAmount = FILTER_DEFAULTS.filterEnvAmount,
+  filterVelocity = FILTER_DEFAULTS.filterVelocity,
+  filterAttack = FILTER_DEFAULTS.filterAttack,
+  filterDecay = FILTER_DEFAULTS.filterDecay,
+  filterSustain = FILTER_DEFAULTS.filterSustain,
+  filterRelease = FILTER_DEFAULTS.filterRelease,
+
+  A_RANGE = [0.001, 2.0],
+  D_RANGE = [0.01, 2.0],
+  S_RANGE = [0.0, 1.0],
+  R_RANGE = [0.01, 3.0],
+
+  onChange = () => {},
+
+  infoText = '#000000',
+  infoFontSize = 0.025,
+  infoPanelWidth = 0.6,
+}) {
+  // Row 0: filter envelope + velocity amount, row 1: type + filter controls, row 2: readout
+  const col = (i) => [gridSpacingX * (i - 0.5), 0]
+  const A_pos = [...col(0), 0]
+  const D_pos = [...col(1), 0]
+  const S_pos = [...col(2), 0]
+  const R_pos = [...col(3), 0]
+  const velPos = [...col(4), 0]
+  const typePos = [...col(0), gridSpacingZ]
+  const cutPos = [...col(1), gridSpacingZ]
+  const qPos = [...col(2), gridSpacingZ]
+  const keyPos = [...col(3), gridSpacingZ]
+  const amtPos = [...col(4), gridSpacingZ]
+
+  const cycleType = () => {
+    const i = FILTER_TYPES.indexOf(filterType)
+    onChange({ filterType: FILTER_TYPES[(i + 1) % FILTER_TYPES.length] })
+  }
+
+  const fmtSec = (s) => `${Number.isFinite(s) ? s.toFixed(2) : '0.00'}s`
+  const fmtPct = (p) => `${Number.isFinite(p) ? Math.round(p * 100) : 0}%`
+  const fmtHz = (hz) => (hz >= 1000 ? `${(hz / 1000).toFixed(1)}k` : `${Math.round(hz)}`)
+
+  const infoLines = useMemo(() => ([
+    `Filter ${filterType}  Cut ${fmtHz(filterCutoff)}Hz  Res ${filterQ.toFixed(1)}`,
+    `Key ${fmtPct(filterKeyTrack)}  Env ${filterEnvAmount.toFixed(1)}oct  Vel ${fmtPct(filterVelocity)}`,
+    `F.Env A ${fmtSec(filterAttack)} D ${fmtSec(filterDecay)} S ${fmtPct(filterSustain)} R ${fmtSec(filterRelease)}`,
+  ]), [filterType, filterCutoff, filterQ, filterKeyTrack, filterEnvAmount, filterVelocity,
+    filterAttack, filterDecay, filterSustain, filterRelease])
+
+  const lineH = 0.04
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <Roller position={A_pos} size={size} baseColor={rollerBaseColor} diskColor={rollerColor}
+              range={A_RANGE} value={filterAttack} onChange={(v) => onChange({ filterAttack: +v.toFixed(3) })} />
+      <Roller position={D_pos} size={size} baseColor={rollerBaseColor} diskColor={rollerColor}
+              range={D_RANGE} value={filterDecay} onChange={(v) => onChange({ filterDecay: +v.toFixed(3) })} />
+      <Roller position={S_pos} size={size} baseColor={rollerBaseColor} diskColor={rollerColor}
+              range={S_RANGE} value={filterSustain} onChange={(v) => onChange({ filterSustain: +v.toFixed(3) })} />
+      <Roller position={R_pos} size={size} baseColor={rollerBaseColor} diskColor={rollerColor}
+              range={R_RANGE} value={filterRelease} onChange={(v) => onChange({ filterRelease: +v.toFixed(3) })} />
+      {/* how far soft notes close the cutoff (see audio/velocity) */}
+      <Dial position={velPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={[0, 1]} value={filterVelocity} onChange={(v) => onChange({ filterVelocity: +v.toFixed(2) })} />
+
+      <PressablePlanesButton
+        mode="long-press"
+        position={typePos}
+        size={size}
+        buttonScale={0.6}
+        baseColor={dialBaseColor}
+        buttonColor={typeButtonColor}
+        showLabel
+        label={filterType}
+        labelColor="#000000"
+        onPressed={cycleType}
+      />
+      <Dial position={cutPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={[0, 1]} value={hzToDial(filterCutoff)}
+            onChange={(v) => onChange({ filterCutoff: Math.round(dialToHz(v)) })} />
+      <Dial position={qPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={Q_RANGE} value={filterQ} onChange={(v) => onChange({ filterQ: +v.toFixed(2) })} />
+      <Dial position={keyPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={[0, 1]} value={filterKeyTrack} onChange={(v) => onChange({ filterKeyTrack: +v.toFixed(2) })} />
+      <Dial position={amtPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={ENV_AMOUNT_RANGE} value={filterEnvAmount}
+            onChange={(v) => onChange({ filterEnvAmount: +v.toFixed(2) })} />
+
+      <group position={[col(0)[0] - gridSpacingX * 0.5, 0, gridSpacingZ * 1.6]} rotation={[-Math.PI / 2, 0, 0]}>
+        {infoLines.map((t, i) => (
+          <BitmapText
+            key={i}
+            text={t}
+            position={[0, -i * lineH, 0.01]}
+            rotation={[Math.PI, 0, 0]}
+            scale={[infoFontSize, infoFontSize, infoFontSize]}
+            color={infoText}
+            align="left"
+            anchorY="top"
+            maxWidth={infoPanelWidth / infoFontSize}
+            lineHeight={1.1}
+          />
+        ))}
+      </group>
+    </group>
+  )
+}
@@ -0,0 +1,69 @@
+import Dial from '../../components/dial'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { GLIDE_DEFAULTS, GLIDE_RANGE, VOICE_MODES } from '../../audio/glide'
+
+function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const fmtMs = (s) => (s > 0 ? `${Math.round(s * 1000)}ms` : 'off')
+
+/**
+ * Voice mode (poly / mono / legato) and portamento time of the synth.
+ * Mono and legato play one voice per track (or for the live pads) that
+ * glides to each new note; legato also skips the envelope retrigger while
+ * the previous note is held. See audio/glide.
+ */
+export default function GlideController({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.12,
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+
+  voiceMode = GLIDE_DEFAULTS.voiceMode,
+  glide = GLIDE_DEFAULTS.glide,
+  onChange = () => {},
+}) {
+  const nextMode = VOICE_MODES[(VOICE_MODES.indexOf(voiceMode) + 1) % VOICE_MODES.length]
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <PressablePlanesButton
+        mode="long-press"
+        position={[0, 0, 0]}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={voiceMode === 'poly' ? padButtonColor : '#22c55e'}
+        showLabel
+        labelColor="#000000"
+        label={voiceMode}
+        onPressed={() => onChange({ voiceMode: nextMode })}
+      />
+      <Plate position={[0, 0, -0.075]} size={[0.12, 0.06]} text="Voice" />
+
+      <Dial position={[gapX, 0, 0]} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={GLIDE_RANGE} value={glide} onChange={(v) => onChange({ glide: +v.toFixed(3) })} />
+      <Plate position={[gapX, 0, -0.075]} size={[0.14, 0.06]} text={`Glide ${fmtMs(glide)}`} />
+    </group>
+  )
+}
@@ -54,6 +54,14 @@ export default function InstrumentsPanel({
       .insert([{
         name: instrumentName,
         waveform: currentSettings.waveform,
+        harmonicity: currentSettings.harmonicity,
+        modulation_index: currentSettings.modulationIndex,
+        fat_count: currentSettings.fatCount,
+        fat_spread: currentSettings.fatSpread,
+        pulse_width: currentSettings.pulseWidth,
+        partials: currentSettings.partials ?? [],
+        voice_mode: currentSettings.voiceMode,
+        glide: currentSettings.glide,
         attack: currentSettings.attack,
         decay: currentSettings.decay,
         sustain: currentSettings.sustain,
@@ -61,6 +69,17 @@ export default function InstrumentsPanel({
         duration: currentSettings.duration,
         reverb_mix: currentSettings.reverbMix,
         reverb_room_size: currentSettings.reverbRoomSize,
+        filter_type: currentSettings.filterType,
+        filter_cutoff: currentSettings.filterCutoff,
+        filter_q: currentSettings.filterQ,
+        filter_key_track: currentSettings.filterKeyTrack,
+        filter_env_amount: currentSettings.filterEnvAmount,
+        filter_velocity: currentSettings.filterVelocity,
+        filter_attack: currentSettings.filterAttack,
+        filter_decay: currentSettings.filterDecay,
+        filter_sustain: currentSettings.filterSustain,
+        filter_release: currentSettings.filterRelease,
+        lfos: currentSettings.lfos ?? [],
       }])
 
     if (!error) {
@@ -84,6 +103,14 @@ export default function InstrumentsPanel({
   const loadInstrument = useCallback((inst) => {
     onLoadInstrument({
       waveform: inst.waveform,
+      harmonicity: inst.harmonicity,
+      modulationIndex: inst.modulation_index,
+      fatCount: inst.fat_count,
+      fatSpread: inst.fat_spread,
+      pulseWidth: inst.pulse_width,
+      partials: inst.partials,
+      voiceMode: inst.voice_mode,
+      glide: inst.glide,
       attack: inst.attack,
       decay: inst.decay,
       sustain: inst.sustain,
@@ -91,6 +118,17 @@ export default function InstrumentsPanel({
       duration: inst.duration,
       reverbMix: inst.reverb_mix,
       reverbRoomSize: inst.reverb_room_size,
+      filterType: inst.filter_type,
+      filterCutoff: inst.filter_cutoff,
+      filterQ: inst.filter_q,
+      filterKeyTrack: inst.filter_key_track,
+      filterEnvAmount: inst.filter_env_amount,
+      filterVelocity: inst.filter_velocity,
+      filterAttack: inst.filter_attack,
+      filterDecay: inst.filter_decay,
+      filterSustain: inst.filter_sustain,
+      filterRelease: inst.filter_release,
+      lfos: inst.lfos,
     })
     setSelectedId(inst.id)
   }, [onLoadInstrument])
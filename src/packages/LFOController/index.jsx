@@ -0,0 +1,113 @@
+import { useCallback, useState } from 'react'
+import Dial from '../../components/dial'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import {
+  LFO_COUNT, LFO_TARGETS, LFO_WAVES, LFO_SYNC, LFO_RATE_RANGE, normalizeLfos,
+} from '../../audio/lfo'
+
+function Plate({ position = [0, 0, 0], size = [0.12, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const next = (list, cur) => list[(list.indexOf(cur) + 1) % list.length]
+
+/**
+ * LFO editor: pick an LFO, then its destination, shape, rate (Hz or synced
+ * to tempo), depth and whether its phase restarts on every note.
+ */
+export default function LFOController({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  gapX = 0.12,
+  size = [0.085, 0.085],
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+
+  lfos,
+  onChange = () => {},
+}) {
+  const [index, setIndex] = useState(0)
+  const list = normalizeLfos(lfos)
+  const lfo = list[index]
+
+  const patch = useCallback((p) => {
+    onChange({ lfos: list.map((l, i) => (i === index ? { ...l, ...p } : l)) })
+  }, [onChange, list, index])
+
+  const at = (col) => [col * gapX, 0, 0]
+  const labelAt = (col) => [col * gapX, 0, -0.075]
+  const btn = { mode: 'long-press', size, baseColor: padBaseColor, buttonColor: padButtonColor, showLabel: true, labelColor: '#000000' }
+
+  const syncIdx = Math.max(0, LFO_SYNC.indexOf(lfo.sync))
+  const rateText = lfo.sync ? lfo.sync : `${lfo.rate.toFixed(1)}Hz`
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <PressablePlanesButton {...btn} position={at(0)} label={`LFO ${index + 1}`}
+        onPressed={() => setIndex(i => (i + 1) % LFO_COUNT)} />
+      <PressablePlanesButton {...btn} position={at(1)} label={lfo.target}
+        buttonColor={lfo.target === 'off' ? '#64748b' : padButtonColor}
+        onPressed={() => patch({ target: next(LFO_TARGETS, lfo.target) })} />
+      <Plate position={labelAt(1)} text="Dest" />
+      <PressablePlanesButton {...btn} position={at(2)} label={lfo.waveform}
+        onPressed={() => patch({ waveform: next(LFO_WAVES, lfo.waveform) })} />
+      <Plate position={labelAt(2)} text="Wave" />
+
+      {lfo.sync
+        ? <Dial position={at(3)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={[0, LFO_SYNC.length - 1]} value={syncIdx}
+            onChange={(v) => patch({ sync: LFO_SYNC[Math.round(v)] ?? LFO_SYNC[0] })} />
+        : <Dial position={at(3)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={LFO_RATE_RANGE} value={lfo.rate} onChange={(v) => patch({ rate: +v.toFixed(2) })} />}
+      <Plate position={labelAt(3)} text={`Rate ${rateText}`} />
+
+      <PressablePlanesButton
+        mode="toggle"
+        position={at(4)}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        showLabel
+        labelColor="#000000"
+        label="Sync"
+        controlledIsOn={!!lfo.sync}
+        onToggle={(on) => patch({ sync: on ? LFO_SYNC[2] : null })}
+      />
+
+      <Dial position={at(5)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={[0, 1]} value={lfo.depth} onChange={(v) => patch({ depth: +v.toFixed(2) })} />
+      <Plate position={labelAt(5)} text={`Depth ${Math.round(lfo.depth * 100)}%`} />
+
+      <PressablePlanesButton
+        mode="toggle"
+        position={at(6)}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        showLabel
+        labelColor="#000000"
+        label="Retrig"
+        controlledIsOn={lfo.retrigger}
+        onToggle={(on) => patch({ retrigger: on })}
+      />
+    </group>
+  )
+}
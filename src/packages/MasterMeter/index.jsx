@@ -0,0 +1,147 @@
+import { useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+import { METER_RANGE } from '../../audio/mixer'
+import { GR_RANGE, LUFS_RANGE } from '../../audio/loudness'
+
+function Plate({ position = [0, 0, 0], size = [0.2, 0.05], text = '', fontSize = 0.018, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const POLL_SEC = 0.25
+const HOT_DB = -3
+const COLD = 0x22c55e
+const HOT = 0xdc3545
+const GR = 0xf08c00
+
+const fill = (v, [lo, hi]) => (Number.isFinite(v) ? Math.min(1, Math.max(0, (v - lo) / (hi - lo))) : 0)
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(1) : '-inf')
+
+// Vertical bar growing away from the player. `read()` returns [fill 0..1, hex
+// color]; it runs every frame and only touches the mesh (no React state)
+function Bar({ position, read, width = 0.02, height = 0.16 }) {
+  const fillRef = useRef()
+  const matRef = useRef()
+  useFrame(() => {
+    const [f, color] = read()
+    if (fillRef.current) fillRef.current.scale.z = Math.max(0.001, f)
+    matRef.current?.color.setHex(color)
+  })
+  return (
+    <group position={position}>
+      <mesh position={[0, 0.001, -height / 2]} rotation={[-Math.PI / 2, 0, 0]}>
+        <planeGeometry args={[width, height]} />
+        <meshBasicMaterial color="#1e293b" />
+      </mesh>
+      <group ref={fillRef}>
+        <mesh position={[0, 0.002, -height / 2]} rotation={[-Math.PI / 2, 0, 0]}>
+          <planeGeometry args={[width, height]} />
+          <meshBasicMaterial ref={matRef} color={COLD} />
+        </mesh>
+      </group>
+    </group>
+  )
+}
+
+/**
+ * Master output metering: sample peak and RMS (dBFS), momentary and
+ * short-term loudness (LUFS), and the gain reduction of the master
+ * compressor and limiter. Peak is read before the limiter; the Clip pad
+ * turns red when it reaches 0 dBFS there and stays red until it is tapped.
+ */
+export default function MasterMeter({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.035,
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+  clipColor = '#dc3545',
+}) {
+  const engine = useAudioEngine()
+  const statsRef = useRef(null)
+  const sinceRef = useRef(POLL_SEC)
+  const [readout, setReadout] = useState(['', '', ''])
+  const [clipped, setClipped] = useState(false)
+
+  // one engine read per frame feeds every bar; the text only refreshes a few times a second
+  useFrame((_, dt) => {
+    const s = engine.masterStats()
+    statsRef.current = s
+    setClipped(prev => (prev === s.clipped ? prev : s.clipped))
+    sinceRef.current += dt
+    if (sinceRef.current < POLL_SEC) return
+    sinceRef.current = 0
+    setReadout([
+      `Peak ${fmt(s.peak)}  RMS ${fmt(s.rms)} dB`,
+      `M ${fmt(s.momentary)}  S ${fmt(s.shortTerm)} LUFS`,
+      `GR comp ${s.compReduction.toFixed(1)}  lim ${s.limiterReduction.toFixed(1)}`,
+    ])
+  })
+
+  const level = (key) => () => {
+    const db = statsRef.current?.[key] ?? -Infinity
+    return [fill(db, METER_RANGE), db > HOT_DB ? HOT : COLD]
+  }
+  const loud = (key) => () => {
+    const lu = statsRef.current?.[key] ?? -Infinity
+    return [fill(lu, LUFS_RANGE), lu > HOT_DB ? HOT : COLD]
+  }
+  const reduction = (key) => () => [fill(statsRef.current?.[key] ?? 0, GR_RANGE), GR]
+
+  const bars = [
+    ['Pk', level('peak')],
+    ['RMS', level('rms')],
+    ['M', loud('momentary')],
+    ['S', loud('shortTerm')],
+    ['Cmp', reduction('compReduction')],
+    ['Lim', reduction('limiterReduction')],
+  ]
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      {bars.map(([name, read], i) => (
+        <group key={name} position={[i * gapX + (i >= 4 ? gapX / 2 : 0), 0, 0]}>
+          <Bar position={[0, 0, -0.06]} read={read} />
+          <Plate position={[0.012, 0, -0.035]} size={[0.04, 0.03]} fontSize={0.011} text={name} />
+        </group>
+      ))}
+
+      {readout.map((line, i) => (
+        <Plate key={i} position={[0.115, 0, 0.01 + i * 0.035]} size={[0.24, 0.035]} text={line} />
+      ))}
+
+      <PressablePlanesButton
+        mode="long-press"
+        position={[0.04, 0, 0.16]}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={clipped ? clipColor : padButtonColor}
+        showLabel
+        labelColor="#000000"
+        label="Clip"
+        onPressed={() => engine.resetClip()}
+      />
+      <Plate position={[0.16, 0, 0.16]} size={[0.14, 0.05]}
+        color={clipped ? clipColor : '#000000'}
+        text={clipped ? 'Clipped - tap' : 'No clips'} />
+    </group>
+  )
+}
@@ -0,0 +1,170 @@
+import { useCallback, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import Roller from '../../components/roller'
+import Dial from '../../components/dial'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+import {
+  DUCK_RANGE, PAN_RANGE, SC_ATTACK_RANGE, SC_RELEASE_RANGE, VOLUME_RANGE, meterFill,
+} from '../../audio/mixer'
+
+function Plate({ position = [0, 0, 0], size = [0.12, 0.06], text = '', fontSize = 0.02, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const HOT_DB = -3
+const COLD = 0x22c55e
+const HOT = 0xdc3545
+
+// Vertical level bar growing away from the player; reads the engine meter
+// every frame and only touches the mesh (no React state, no allocation)
+function MeterBar({ position, read, width = 0.02, height = 0.16 }) {
+  const fillRef = useRef()
+  const matRef = useRef()
+  useFrame(() => {
+    const db = read()
+    if (fillRef.current) fillRef.current.scale.z = Math.max(0.001, meterFill(db))
+    matRef.current?.color.setHex(db > HOT_DB ? HOT : COLD)
+  })
+  return (
+    <group position={position}>
+      <mesh position={[0, 0.001, -height / 2]} rotation={[-Math.PI / 2, 0, 0]}>
+        <planeGeometry args={[width, height]} />
+        <meshBasicMaterial color="#1e293b" />
+      </mesh>
+      <group ref={fillRef}>
+        <mesh position={[0, 0.002, -height / 2]} rotation={[-Math.PI / 2, 0, 0]}>
+          <planeGeometry args={[width, height]} />
+          <meshBasicMaterial ref={matRef} color={COLD} />
+        </mesh>
+      </group>
+    </group>
+  )
+}
+
+const fmtDb = (v) => (v <= VOLUME_RANGE[0] ? '-inf' : `${v > 0 ? '+' : ''}${v.toFixed(1)}`)
+const fmtPan = (p) => (Math.abs(p) < 0.01 ? 'C' : `${p < 0 ? 'L' : 'R'}${Math.round(Math.abs(p) * 100)}`)
+const fmtMs = (s) => `${Math.round(s * 1000)}ms`
+
+/**
+ * Mixer: one strip per track (meter, fader, pan, solo, mute) plus the master
+ * strip. `mixer` is { tracks: [{ volume, pan, solo }], master: { volume } }
+ * (see audio/mixer); mutes are the recorder's `mutes`. Any solo overrides
+ * the mutes in the sequencer. The sidechain source (cycled on the master
+ * column, with its attack/release) ducks each other strip by its Duck dial.
+ */
+export default function Mixer({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.12,
+  gapZ = 0.14,
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
+  rollerBaseColor = '#324966',
+  rollerColor = '#fc45c8',
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+  soloColor = '#facc15',
+
+  mixer,
+  setMixer,
+  mutes,
+  setMutes,
+}) {
+  const engine = useAudioEngine()
+
+  const patchTrack = useCallback((t, p) => {
+    setMixer(prev => ({ ...prev, tracks: prev.tracks.map((s, i) => (i === t ? { ...s, ...p } : s)) }))
+  }, [setMixer])
+  const setMasterVolume = useCallback((v) => {
+    setMixer(prev => ({ ...prev, master: { ...prev.master, volume: v } }))
+  }, [setMixer])
+  const patchSidechain = useCallback((p) => {
+    setMixer(prev => ({ ...prev, sidechain: { ...prev.sidechain, ...p } }))
+  }, [setMixer])
+
+  // Source cycles off → T1 … T5 → off
+  const scSource = mixer.sidechain?.source ?? null
+  const nextSource = scSource == null ? 0 : scSource >= mixer.tracks.length - 1 ? null : scSource + 1
+
+  const anySolo = mixer.tracks.some(s => s.solo)
+  const at = (col, row) => [col * gapX, 0, row * gapZ]
+  const toggle = { mode: 'toggle', size, baseColor: padBaseColor, showLabel: true, labelColor: '#000000' }
+  const dial = { size, baseColor: dialBaseColor, dialColor, wrap: false }
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      {mixer.tracks.map((strip, t) => {
+        const silenced = anySolo ? !strip.solo : mutes?.[t]
+        return (
+          <group key={`strip-${t}`}>
+            <MeterBar position={[t * gapX, 0, -0.06]} read={() => engine.trackLevel(t)} />
+            <Plate position={[t * gapX, 0, -0.26]} color={silenced ? '#94a3b8' : '#000000'}
+              text={`T${t + 1} ${fmtDb(strip.volume)}`} />
+
+            <Roller position={at(t, 0)} size={size} baseColor={rollerBaseColor} diskColor={rollerColor}
+              range={VOLUME_RANGE} value={strip.volume}
+              onChange={(v) => patchTrack(t, { volume: +v.toFixed(1) })} />
+
+            <Dial position={at(t, 1)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+              range={PAN_RANGE} value={strip.pan} onChange={(v) => patchTrack(t, { pan: +v.toFixed(2) })} />
+            <Plate position={[t * gapX, 0, gapZ - 0.075]} text={`Pan ${fmtPan(strip.pan)}`} />
+
+            <PressablePlanesButton {...toggle} position={at(t, 2)} label="Solo"
+              buttonColor={strip.solo ? soloColor : padButtonColor}
+              controlledIsOn={strip.solo} onToggle={(on) => patchTrack(t, { solo: on })} />
+            <PressablePlanesButton {...toggle} position={at(t, 3)} label="Mute"
+              buttonColor={padButtonColor}
+              controlledIsOn={!!mutes?.[t]}
+              onToggle={(on) => setMutes(prev => prev.map((m, i) => (i === t ? on : m)))} />
+
+            <Dial {...dial} position={at(t, 4)} range={DUCK_RANGE} value={strip.duck ?? 0}
+              onChange={(v) => patchTrack(t, { duck: +v.toFixed(2) })} />
+            <Plate position={[t * gapX, 0, 4 * gapZ - 0.075]}
+              color={scSource == null || scSource === t ? '#94a3b8' : '#000000'}
+              text={scSource === t ? 'Key' : `Duck ${Math.round((strip.duck ?? 0) * 100)}%`} />
+          </group>
+        )
+      })}
+
+      <group position={[5.5 * gapX, 0, 0]}>
+        <MeterBar position={[0, 0, -0.06]} read={engine.masterLevel} />
+        <Plate position={[0, 0, -0.26]} text={`Master ${fmtDb(mixer.master.volume)}`} />
+        <Roller position={[0, 0, 0]} size={size} baseColor={rollerBaseColor} diskColor={rollerColor}
+          range={VOLUME_RANGE} value={mixer.master.volume}
+          onChange={(v) => setMasterVolume(+v.toFixed(1))} />
+
+        <PressablePlanesButton mode="long-press" size={size} baseColor={padBaseColor} showLabel labelColor="#000000"
+          position={[0, 0, 2 * gapZ]} buttonColor={scSource == null ? padButtonColor : '#22c55e'}
+          label={scSource == null ? 'SC off' : `SC T${scSource + 1}`}
+          onPressed={() => patchSidechain({ source: nextSource })} />
+        <Plate position={[0, 0, 2 * gapZ - 0.075]} text="Sidechain" />
+
+        <Dial {...dial} position={[0, 0, 3 * gapZ]} range={SC_ATTACK_RANGE} value={mixer.sidechain?.attack}
+          onChange={(v) => patchSidechain({ attack: +v.toFixed(3) })} />
+        <Plate position={[0, 0, 3 * gapZ - 0.075]} text={`Att ${fmtMs(mixer.sidechain?.attack ?? 0)}`} />
+
+        <Dial {...dial} position={[0, 0, 4 * gapZ]} range={SC_RELEASE_RANGE} value={mixer.sidechain?.release}
+          onChange={(v) => patchSidechain({ release: +v.toFixed(3) })} />
+        <Plate position={[0, 0, 4 * gapZ - 0.075]} text={`Rel ${fmtMs(mixer.sidechain?.release ?? 0)}`} />
+      </group>
+    </group>
+  )
+}
@@ -1,11 +1,31 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react'
 import * as THREE from 'three'
+import { useFrame } from '@react-three/fiber'
 import Dial from '../../components/dial'
 import ToggleSwitch from '../../components/switch'
 import PressablePlanesButton from '../../components/button'
 import { useTonePad } from '../../hooks/useTonePad'
+import { useTransport } from '../../hooks/useTransport'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+import { GROOVES, OFFSET_RANGE, SWING_RANGE, grooveById, grooveOffsets, nudgeGroove } from '../../audio/groove'
+import { BPM_RANGE, DIVISIONS, clampBpm, divisionById, tapTempo } from '../../audio/timing'
 import SequenceVisualizer from '../SequenceVisualizer'
 import BitmapText from '../../components/bitmapText'
+import { pickFilter } from '../../audio/filter'
+import { pickOsc } from '../../audio/oscillator'
+import { pickGlide } from '../../audio/glide'
+import { GATE_RANGE, clampGate, gateStepsOf, isTied } from '../../audio/gate'
+import { DEFAULT_VELOCITY, VELOCITY_RANGE, clampVelocity, velocityOf } from '../../audio/velocity'
+import { TRACK_TYPES } from '../../audio/trackTypes'
+import { audibleTracks } from '../../audio/mixer'
+import { playEarly, playStep } from '../../audio/sequencer'
+import { QUANTIZE_DEFAULT, QUANTIZE_RANGE } from '../../audio/overdub'
+import { BEATS_PER_BAR, COUNT_IN_BARS, METRONOME_DEFAULTS, beatAt, stepsPerBeat } from '../../audio/metronome'
+
+const RECORD_MODES = ['replace', 'add', 'erase']
+const BEAT_DIM = new THREE.Color('#1e293b')
+const BEAT_ON = new THREE.Color('#22c55e')
+const BEAT_DOWN = new THREE.Color('#f08c00')
 
 function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = "#000000" }) {
   const [w, h] = size
@@ -25,6 +45,25 @@ function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize
   )
 }
 
+// Flashes on every click of the metronome / count-in and fades out; reads
+// `pulseRef` ({ at, downbeat }) every frame without React state
+function BeatLight({ position, pulseRef, radius = 0.03 }) {
+  const meshRef = useRef()
+  const matRef = useRef()
+  useFrame(() => {
+    const { at, downbeat } = pulseRef.current
+    const k = Math.exp(-((performance.now() - at) / 1000) * 8)
+    matRef.current?.color.copy(BEAT_DIM).lerp(downbeat ? BEAT_DOWN : BEAT_ON, k)
+    meshRef.current?.scale.setScalar(1 + 0.35 * k)
+  })
+  return (
+    <mesh ref={meshRef} position={[position[0], position[1] + 0.005, position[2]]} rotation={[-Math.PI / 2, 0, 0]}>
+      <circleGeometry args={[radius, 24]} />
+      <meshBasicMaterial ref={matRef} color={BEAT_DIM} />
+    </mesh>
+  )
+}
+
 export default function PlayBackRecorder({
   position = [0.28, 0.9, -0.35],
   size = [0.09, 0.09],
@@ -39,15 +78,33 @@ export default function PlayBackRecorder({
   selectedTrack, setSelectedTrack,
   selectedSlots, setSelectedSlots,
   recording, setRecording,
+  recordMode = 'replace', setRecordMode,
+  chordHold = false, setChordHold,
+  quantize = QUANTIZE_DEFAULT, setQuantize,
+  loopClock, // ref the running loop's latest step is written to (for overdub)
+  overdubSkip, // ref to overdubbed notes the loop must not replay on this pass (see sequencer)
   playing, setPlaying,
   mutes, setMutes,
-  recDuration, setRecDuration,
+  bpm, setBpm,
+  division, setDivision,
+  stepSeconds,
+  swing, setSwing,
+  grooves, setGrooves,
+  trackFx, setTrackFx: setTrackFxState,
+  trackTypes, setTrackTypes,
+  sampleBank,
+  mixer,
+  metronome = METRONOME_DEFAULTS, setMetronome,
 }) {
-  const { triggerNote, triggerNoteWith } = useTonePad({
+  const engine = useAudioEngine()
+  const { triggerNoteWith, triggerDrum, setTrackFx } = useTonePad({
     waveform: synth.waveform,
     attack: synth.attack, decay: synth.decay, sustain: synth.sustain, release: synth.release,
-    reverbMix: synth.reverbMix, reverbRoomSize: synth.reverbRoomSize,
     cleanupEps: synth.cleanupEps ?? 0.03,
+    ...pickOsc(synth),
+    ...pickGlide(synth),
+    ...pickFilter(synth),
+    lfos: synth.lfos,
   })
 
   const clamp = (v, a, b) => Math.min(b, Math.max(a, v))
@@ -75,76 +132,160 @@ export default function PlayBackRecorder({
 
   const seqRef = useRef(sequence)
   const mutesRef = useRef(mutes)
-  const durRef = useRef(recDuration)
+  const bpmRef = useRef(bpm)
+  const stepSecRef = useRef(stepSeconds)
+  const swingRef = useRef(swing)
+  const groovesRef = useRef(grooves)
+  const trackFxRef = useRef(trackFx)
+  const synthRef = useRef(synth)
+  const trackTypesRef = useRef(trackTypes)
+  const mixerRef = useRef(mixer)
+  const playingRef = useRef(playing)
+  const divisionRef = useRef(division)
+  const metronomeRef = useRef(metronome)
+  const playFromRef = useRef((selectedSlots[0] ?? 0) % 16)
 
   useEffect(() => { seqRef.current = sequence }, [sequence])
   useEffect(() => { mutesRef.current = mutes }, [mutes])
-  useEffect(() => { durRef.current = recDuration }, [recDuration])
-
-  // Step/playhead refs
-  const stepRef = useRef(0)
-  const timerRef = useRef(null)
-  const nextTickAtRef = useRef(0) // performance.now() timestamp for drift-correction
+  useEffect(() => { bpmRef.current = bpm }, [bpm])
+  useEffect(() => { stepSecRef.current = stepSeconds }, [stepSeconds])
+  useEffect(() => { swingRef.current = swing }, [swing])
+  useEffect(() => { groovesRef.current = grooves }, [grooves])
+  useEffect(() => { trackFxRef.current = trackFx }, [trackFx])
+  useEffect(() => { synthRef.current = synth }, [synth])
+  useEffect(() => { trackTypesRef.current = trackTypes }, [trackTypes])
+  useEffect(() => { mixerRef.current = mixer }, [mixer])
+  useEffect(() => { playingRef.current = playing }, [playing])
+  useEffect(() => { divisionRef.current = division }, [division])
+  useEffect(() => { metronomeRef.current = metronome }, [metronome])
+  useEffect(() => { playFromRef.current = (selectedSlots[0] ?? 0) % 16 }, [selectedSlots])
 
   const [playhead, setPlayhead] = useState(0)
 
-  const stopClock = useCallback(() => {
-    if (timerRef.current) { clearTimeout(timerRef.current); timerRef.current = null }
+  // Metronome + count-in. While playing, beats follow the pattern's steps;
+  // otherwise the clock only clicks, counting steps from its start. A count-in
+  // leads into overdub: its clock starts that many steps before the start
+  // slot and carries straight on into playback once the count has played.
+  const countRef = useRef({ left: 0, total: 0 }) // count-in steps
+  const leadInRef = useRef(false) // the count has played: the clock now plays the pattern
+  const handoffRef = useRef(false) // keep the clock running while `playing` catches up
+  const firstStepRef = useRef(false) // the clock just started: no step before it scheduled early notes
+  const startSlotRef = useRef(0) // where the running clock meets the pattern
+  const clickStepRef = useRef(0)
+  const pulseRef = useRef({ at: -Infinity, downbeat: false })
+  const [countBeats, setCountBeats] = useState(null) // count-in beats left, null when not counting in
+  const countingIn = countBeats != null
+
+  const startCountIn = useCallback(() => {
+    const steps = metronome.countIn * BEATS_PER_BAR * stepsPerBeat(division)
+    countRef.current = { left: steps, total: steps }
+    setCountBeats(metronome.countIn * BEATS_PER_BAR)
+  }, [metronome.countIn, division])
+  const cancelCountIn = useCallback(() => {
+    countRef.current = { left: 0, total: 0 }
+    leadInRef.current = false
+    setCountBeats(null)
   }, [])
 
-  const tickOnce = useCallback(() => {
-    const s = stepRef.current
-    setPlayhead(s)
-
-    const seq = seqRef.current
-    const mutes = mutesRef.current
-    const stepSec = Math.max(0.03, durRef.current ?? 0.5)
-
-    for (let t = 0; t < 5; t++) {
-      if (mutes?.[t]) continue
-      const events = (seq?.[t]?.[s]) || []
-      for (const ev of events) {
-        const midi = ev?.midi
-        if (typeof midi !== 'number') continue
-        const evDur = Number.isFinite(ev?.duration) ? ev.duration : stepSec
-        if (ev?.synth) triggerNoteWith(ev.synth, midi, evDur)
-        else triggerNote(midi, evDur)
-      }
+  // Clicks for step `s` at `time`; returns what the beat light / count-in show
+  const clickOnce = useCallback((s, time) => {
+    const spb = stepsPerBeat(divisionRef.current)
+    const m = metronomeRef.current
+    const count = countRef.current
+    const counting = count.left > 0
+    const pos = counting ? count.total - count.left : playingRef.current || leadInRef.current ? s : clickStepRef.current++
+    const beat = beatAt(pos, spb)
+    if (beat && (counting || m.on)) engine.click(time, { accent: m.accent && beat.downbeat, level: m.level })
+    if (!counting) return { beat }
+    const countLeft = Math.ceil(count.left / spb)
+    count.left--
+    return { beat, countLeft, countDone: count.left === 0 }
+  }, [engine])
+
+  // Fired by the transport ahead of time; `time` is the step's audio-clock time
+  const tickOnce = useCallback((s, time) => {
+    const info = clickOnce(s, time)
+    const stepSec = Math.max(0.03, stepSecRef.current ?? 0.125)
+    const state = {
+      sequence: seqRef.current,
+      audible: audibleTracks(mutesRef.current, mixerRef.current), // any solo overrides the mutes
+      stepSec,
+      bpm: bpmRef.current,
+      swing: swingRef.current,
+      grooves: groovesRef.current,
+      trackFx: trackFxRef.current,
+      trackTypes: trackTypesRef.current,
+      getSample: sampleBank?.getSample,
+      synth: synthRef.current,
+      skip: overdubSkip?.current,
     }
+    const player = { triggerNoteWith, triggerDrum, setTrackFx }
+    // the last count-in step only clicks (and places the start slot's early notes);
+    // the pattern starts on the next one
+    if (info.countDone) {
+      leadInRef.current = true
+      playEarly(state, (s + 1) % 16, time + stepSec, player)
+      return info
+    }
+    if (!playingRef.current && !leadInRef.current) return info
+    if (loopClock) loopClock.current = { s, time, stepSec, steps: 16 }
+    playStep(state, s, time, player, { first: firstStepRef.current })
+    firstStepRef.current = false
+    return info
+  }, [clickOnce, loopClock, overdubSkip, triggerNoteWith, triggerDrum, setTrackFx, sampleBank])
+
+  // On the frame the step is heard: playhead, beat light, count-in
+  const onDraw = useCallback((s, info) => {
+    if (playingRef.current) setPlayhead(s)
+    if (info?.beat) pulseRef.current = { at: performance.now(), downbeat: info.beat.downbeat }
+    if (info?.countLeft != null) setCountBeats(info.countLeft)
+    if (info?.countDone) {
+      handoffRef.current = true
+      setCountBeats(null)
+      setRecording(true)
+      setPlaying(true)
+    }
+  }, [setRecording, setPlaying])
+
+  const { start: startClock, stop: stopClock } = useTransport({
+    steps: 16,
+    bpm,
+    interval: division,
+    onStep: tickOnce,
+    onDraw,
+  })
 
-    stepRef.current = (s + 1) % 16
-  }, [triggerNote, triggerNoteWith])
-
-  const scheduleNext = useCallback(() => {
-    const stepMs = Math.max(30, (durRef.current ?? 0.5) * 1000)
-    const now = performance.now()
-
-    // First schedule sets baseline
-    if (!nextTickAtRef.current) nextTickAtRef.current = now + stepMs
-    else nextTickAtRef.current += stepMs
-
-    const delay = Math.max(0, nextTickAtRef.current - now)
-    timerRef.current = setTimeout(() => {
-      tickOnce()
-      scheduleNext()  // recurse for the next step
-    }, delay)
-  }, [tickOnce])
-
-  const startClock = useCallback((startFrom) => {
-    stopClock()
-    // Align internal counters and fire FIRST tick immediately
-    stepRef.current = startFrom % 16
-    setPlayhead(stepRef.current)
-    tickOnce()            // ← this is what was missing; prevents initial “silent” step
-    nextTickAtRef.current = 0
-    scheduleNext()
-  }, [scheduleNext, stopClock, tickOnce])
-
+  // The clock runs while playing, and click-only during a count-in or whenever
+  // the metronome is on. It starts from the selected slot; moving the
+  // selection while it runs (e.g. Chord Hold stepping on) doesn't restart it.
+  const clicking = !playing && (countingIn || metronome.on)
   useEffect(() => {
-    if (playing) startClock((selectedSlots[0] ?? 0) % 16)
-    else stopClock()
-    return stopClock
-  }, [playing, selectedSlots, startClock, stopClock])
+    const skip = overdubSkip?.current
+    if (playing && handoffRef.current) {
+      // the count-in clock has just reached the start slot: keep it going
+      handoffRef.current = false
+      setPlayhead(startSlotRef.current)
+    } else if (playing) {
+      startSlotRef.current = playFromRef.current
+      setPlayhead(startSlotRef.current)
+      firstStepRef.current = true
+      startClock(startSlotRef.current)
+    } else if (clicking) {
+      leadInRef.current = false
+      clickStepRef.current = 0
+      startSlotRef.current = countingIn ? playFromRef.current : 0
+      startClock(startSlotRef.current - (countingIn ? countRef.current.total : 0))
+    } else {
+      leadInRef.current = false
+      stopClock()
+    }
+    return () => {
+      if (handoffRef.current) return
+      stopClock()
+      if (loopClock) loopClock.current = null
+      skip?.clear()
+    }
+  }, [playing, clicking, countingIn, startClock, stopClock, loopClock, overdubSkip])
 
   const [delMulti, setDelMulti] = useState(false)
   const [anchorSlot, setAnchorSlot] = useState(selectedSlots[0] ?? 0)
@@ -176,10 +317,134 @@ export default function PlayBackRecorder({
 
   const onTrackDial = useCallback((v) => setSelectedTrack(Math.round(clamp(v, 0, 4))), [setSelectedTrack])
 
-  const onDurDial = useCallback((v) => {
-    const sec = Math.round(clamp(v, 0.1, 1.0) * 100) / 100
-    setRecDuration(sec)
-  }, [setRecDuration])
+  const onTempoDial = useCallback((v) => setBpm(clampBpm(v)), [setBpm])
+
+  const divisionIdx = Math.max(0, DIVISIONS.findIndex(d => d.id === division))
+  const onDivisionDial = useCallback((v) => {
+    const d = DIVISIONS[Math.round(clamp(v, 0, DIVISIONS.length - 1))]
+    if (d) setDivision(d.id)
+  }, [setDivision])
+
+  const onSwingDial = useCallback((v) => setSwing(Math.round(clamp(v, SWING_RANGE[0], SWING_RANGE[1]))), [setSwing])
+
+  const trackGroove = grooves?.[selectedTrack]
+  const grooveIdx = Math.max(0, GROOVES.findIndex(g => g.id === trackGroove?.id))
+  const onGrooveDial = useCallback((v) => {
+    const g = GROOVES[Math.round(clamp(v, 0, GROOVES.length - 1))]
+    if (!g) return
+    setGrooves(prev => prev.map((cur, t) => {
+      if (t !== selectedTrack || cur?.id === g.id) return cur
+      // entering Custom starts from whatever the track was playing
+      return g.id === 'custom' ? { id: 'custom', offsets: grooveOffsets(cur, swing) } : { id: g.id }
+    }))
+  }, [setGrooves, selectedTrack, swing])
+
+  const nudgeSlot = selectedSlots[0] ?? 0
+  const nudgeVal = grooveOffsets(trackGroove, swing)[nudgeSlot] ?? 0
+  const onNudgeDial = useCallback((v) => {
+    const off = Math.round(clamp(v, OFFSET_RANGE[0], OFFSET_RANGE[1]) * 100) / 100
+    setGrooves(prev => prev.map((cur, t) => (t === selectedTrack ? nudgeGroove(cur, swing, nudgeSlot, off) : cur)))
+  }, [setGrooves, selectedTrack, swing, nudgeSlot])
+
+  const patchMetronome = useCallback((p) => setMetronome?.(prev => ({ ...prev, ...p })), [setMetronome])
+  const cycleCountIn = useCallback(() => {
+    const next = COUNT_IN_BARS[(COUNT_IN_BARS.indexOf(metronome.countIn) + 1) % COUNT_IN_BARS.length]
+    patchMetronome({ countIn: next })
+  }, [metronome.countIn, patchMetronome])
+
+  const cycleRecordMode = useCallback(() => {
+    const i = RECORD_MODES.indexOf(recordMode)
+    setRecordMode(RECORD_MODES[(i + 1) % RECORD_MODES.length])
+  }, [recordMode, setRecordMode])
+
+  const onChordHold = useCallback((on) => {
+    setChordHold(on)
+    // releasing the hold moves on past the chord that was just built
+    if (!on && recording) setSelectedSlots(([s0 = 0]) => [(s0 + 1) % 16])
+  }, [setChordHold, recording, setSelectedSlots])
+
+  const selType = trackTypes?.[selectedTrack] ?? 'synth'
+  const cycleTrackType = useCallback(() => {
+    const nextType = TRACK_TYPES[(TRACK_TYPES.indexOf(selType) + 1) % TRACK_TYPES.length]
+    setTrackTypes(prev => prev.map((ty, t) => (t === selectedTrack ? nextType : ty)))
+  }, [selType, selectedTrack, setTrackTypes])
+  const selFx = trackFx?.[selectedTrack]
+  const fxOverride = selFx?.mode === 'override'
+  const patchSelFx = useCallback((patch) => {
+    setTrackFxState(prev => prev.map((fx, t) => (t === selectedTrack ? { ...fx, ...patch } : fx)))
+  }, [setTrackFxState, selectedTrack])
+
+  // Slide: the selected steps glide legato from the step before (synth notes only)
+  const slideOn = selectedSlots.some(s => sequence?.[selectedTrack]?.[s]?.some(ev => ev?.slide))
+  const setSlide = useCallback((on) => {
+    setSequence(prev => prev.map((track, t) => (t !== selectedTrack ? track : track.map((slot, s) => (
+      selectedSlots.includes(s) && Array.isArray(slot)
+        ? slot.map(ev => (ev?.drum ? ev : { ...ev, slide: on }))
+        : slot
+    )))))
+  }, [setSequence, selectedTrack, selectedSlots])
+
+  // Velocity: every note and hit in the selected steps (dial shows the first)
+  const selVelocity = useMemo(() => {
+    for (const s of selectedSlots) {
+      const ev = sequence?.[selectedTrack]?.[s]?.find(e => typeof e?.midi === 'number')
+      if (ev) return velocityOf(ev)
+    }
+    return null
+  }, [sequence, selectedTrack, selectedSlots])
+  const onVelocityDial = useCallback((v) => {
+    const velocity = +clampVelocity(v).toFixed(2)
+    setSequence(prev => prev.map((track, t) => (t !== selectedTrack ? track : track.map((slot, s) => (
+      selectedSlots.includes(s) && Array.isArray(slot)
+        ? slot.map(ev => (typeof ev?.midi === 'number' ? { ...ev, velocity } : ev))
+        : slot
+    )))))
+  }, [setSequence, selectedTrack, selectedSlots])
+
+  // Gate: length in steps of the synth notes in the selected steps (dial shows the first)
+  const selGate = useMemo(() => {
+    for (const s of selectedSlots) {
+      const ev = sequence?.[selectedTrack]?.[s]?.find(e => typeof e?.midi === 'number' && !e.drum)
+      if (ev) return gateStepsOf(ev, bpm, stepSeconds)
+    }
+    return null
+  }, [sequence, selectedTrack, selectedSlots, bpm, stepSeconds])
+  const onGateDial = useCallback((v) => {
+    const steps = clampGate(v)
+    setSequence(prev => prev.map((track, t) => (t !== selectedTrack ? track : track.map((slot, s) => (
+      selectedSlots.includes(s) && Array.isArray(slot)
+        ? slot.map(ev => (typeof ev?.midi === 'number' && !ev.drum ? { ...ev, steps } : ev))
+        : slot
+    )))))
+  }, [setSequence, selectedTrack, selectedSlots])
+
+  // Tie: one selected step continues the notes of the step before; a run of
+  // selected steps continues the notes of its first step. Untying keeps the
+  // notes but retriggers them.
+  const tieOn = selectedSlots.some(s => sequence?.[selectedTrack]?.[s]?.some(ev => isTied(sequence[selectedTrack], s, ev)))
+  const setTie = useCallback((on) => {
+    const sel = uniqSorted(selectedSlots)
+    setSequence(prev => prev.map((track, t) => {
+      if (t !== selectedTrack) return track
+      const next = track.map(slot => (Array.isArray(slot) ? [...slot] : []))
+      for (const s of sel.length > 1 ? sel.slice(1) : sel) {
+        if (!on) { next[s] = next[s].map(ev => (ev?.tie ? { ...ev, tie: false } : ev)); continue }
+        if (s === 0) continue // ties don't cross the loop end
+        const held = next[s - 1].filter(ev => typeof ev?.midi === 'number' && !ev.drum)
+        if (!held.length) continue
+        // the step becomes the held notes (its drum hits stay)
+        next[s] = [...next[s].filter(ev => ev?.drum), ...held.map(ev => ({ ...ev, tie: true, slide: false }))]
+      }
+      return next
+    }))
+  }, [setSequence, selectedTrack, selectedSlots])
+
+  const tapsRef = useRef([])
+  const onTap = useCallback(() => {
+    const { taps, bpm: tapped } = tapTempo(tapsRef.current, performance.now())
+    tapsRef.current = taps
+    if (tapped) setBpm(tapped)
+  }, [setBpm])
 
   const prettySel = useMemo(() => {
     const s = uniqSorted(selectedSlots)
@@ -191,6 +456,12 @@ export default function PlayBackRecorder({
   const firstRowZ = 0.0
   const leftX = -0.32
   const trackSwitches = new Array(5).fill(0).map((_, i) => ({ i, pos: [leftX + i * 0.14, 0, topRowZ] }))
+  // metronome cluster: right of the track switches
+  const clickPos = [leftX + 0.76, 0, topRowZ]
+  const accentPos = [leftX + 0.94, 0, topRowZ]
+  const clickLevelPos = [leftX + 1.12, 0, topRowZ]
+  const countInPos = [leftX + 1.3, 0, topRowZ]
+  const beatLightPos = [leftX + 1.46, 0, topRowZ]
   const controlsRowZ = firstRowZ - rowGapZ
   const playPos = [leftX, 0, controlsRowZ]
   const recPos = [leftX + 0.14, 0, controlsRowZ]
@@ -198,8 +469,26 @@ export default function PlayBackRecorder({
   const delMulPos = [leftX + 0.42, 0, controlsRowZ]
   const slotDialPos = [leftX + 0.58, 0, controlsRowZ]
   const trackDialPos = [leftX + 0.76, 0, controlsRowZ]
-  const durDialPos = [leftX + 0.76, 0, controlsRowZ + 0.2]
-  const durLabelPos = [durDialPos[0], durDialPos[1], durDialPos[2] - 0.085]
+  const tempoDialPos = [leftX + 0.76, 0, controlsRowZ + 0.2]
+  const tempoLabelPos = [tempoDialPos[0], tempoDialPos[1], tempoDialPos[2] - 0.085]
+  const divDialPos = [leftX + 0.94, 0, controlsRowZ]
+  const tapPos = [leftX + 0.94, 0, controlsRowZ + 0.2]
+  const grooveRowZ = controlsRowZ + 0.4
+  const velDialPos = [leftX, 0, grooveRowZ]
+  const recModePos = [leftX + 0.14, 0, grooveRowZ]
+  const chordHoldPos = [leftX + 0.28, 0, grooveRowZ]
+  const slidePos = [leftX + 0.42, 0, grooveRowZ]
+  const fxRowZ = controlsRowZ + 0.6
+  const trackTypePos = [leftX, 0, fxRowZ]
+  const fxModePos = [leftX + 0.14, 0, fxRowZ]
+  const fxSendPos = [leftX + 0.28, 0, fxRowZ]
+  const fxRoomPos = [leftX + 0.42, 0, fxRowZ]
+  const gateDialPos = [leftX + 0.58, 0, fxRowZ]
+  const tiePos = [leftX + 0.76, 0, fxRowZ]
+  const quantizePos = [leftX + 0.94, 0, fxRowZ]
+  const swingDialPos = [leftX + 0.58, 0, grooveRowZ]
+  const grooveDialPos = [leftX + 0.76, 0, grooveRowZ]
+  const nudgeDialPos = [leftX + 0.94, 0, grooveRowZ]
 
   return (
     <group position={position}>
@@ -230,7 +519,8 @@ export default function PlayBackRecorder({
   label={playing ? 'Pause' : 'Play'}
   controlledIsOn={playing}
   onToggle={(on)=>{ 
-    if (on && recording) setRecording(false)
+    // recording on while the loop plays overdubs into it
+    if (on) cancelCountIn()
     setPlaying(on) // startClock uses selectedSlots in the effect above
   }}
 />
@@ -240,14 +530,18 @@ export default function PlayBackRecorder({
         position={recPos}
         size={size}
         baseColor={switchBaseColor}
-        controlledIsOn={recording}
-        isOn={recording}
+        controlledIsOn={recording || countingIn}
+        isOn={recording || countingIn}
         onToggle={(on) => {
-          if (on && playing) setPlaying(false)
+          // with a count-in, the loop starts and overdubs once it has played
+          // (see onDraw); a running loop needs none, it overdubs straight away
+          if (on && !playing && metronome.countIn > 0) { startCountIn(); return }
+          cancelCountIn()
           setRecording(on)
         }}
       />
-      <Plate position={[recPos[0], recPos[1], recPos[2] - 0.08]} size={[0.18, 0.06]} text={recording ? 'Recording: ON' : 'Recording: OFF'} />
+      <Plate position={[recPos[0], recPos[1], recPos[2] - 0.08]} size={[0.18, 0.06]}
+        text={countingIn ? `Count-in: ${countBeats}` : recording ? (playing ? 'Overdub: ON' : 'Recording: ON') : 'Recording: OFF'} />
 
       <PressablePlanesButton
         mode="long-press"
@@ -290,9 +584,183 @@ export default function PlayBackRecorder({
         range={[0, 4]} step={1} stepAngle={Math.PI / 12} value={selectedTrack} onChange={onTrackDial} />
       <Plate position={[trackDialPos[0], trackDialPos[1], trackDialPos[2] - 0.08]} text={`Track: ${selectedTrack + 1}`} />
 
-      <Dial position={durDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor}
-        range={[0.1, 1.0]} step={0.05} stepAngle={Math.PI / 18} value={recDuration} onChange={onDurDial} />
-      <Plate position={durLabelPos} text={`Step: ${Number(recDuration).toFixed(2)}s`} />
+      <Dial position={tempoDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor}
+        range={BPM_RANGE} step={1} stepAngle={Math.PI / 36} value={bpm} onChange={onTempoDial} />
+      <Plate position={tempoLabelPos} text={`Tempo: ${bpm} BPM`} />
+
+      <Dial position={divDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor}
+        range={[0, DIVISIONS.length - 1]} step={1} stepAngle={Math.PI / 12} value={divisionIdx} onChange={onDivisionDial} />
+      <Plate position={[divDialPos[0], divDialPos[1], divDialPos[2] - 0.08]} text={`Step: ${divisionById(division).label}`} />
+
+      <PressablePlanesButton
+        mode="long-press"
+        labelColor="#000000"
+        position={tapPos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        showLabel
+        label="Tap"
+        onPressed={onTap}
+      />
+
+      <PressablePlanesButton
+        mode="toggle"
+        labelColor="#000000"
+        position={clickPos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        controlledIsOn={metronome.on}
+        showLabel
+        label={metronome.on ? 'Click: ON' : 'Click: OFF'}
+        onToggle={(on) => patchMetronome({ on })}
+      />
+      <PressablePlanesButton
+        mode="toggle"
+        labelColor="#000000"
+        position={accentPos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        controlledIsOn={metronome.accent}
+        showLabel
+        label={metronome.accent ? 'Accent: ON' : 'Accent: OFF'}
+        onToggle={(accent) => patchMetronome({ accent })}
+      />
+      <Dial position={clickLevelPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={[0, 1]} value={metronome.level} onChange={(v) => patchMetronome({ level: +v.toFixed(2) })} />
+      <Plate position={[clickLevelPos[0], clickLevelPos[1], clickLevelPos[2] - 0.08]} size={[0.14, 0.06]}
+        text={`Click: ${Math.round(metronome.level * 100)}%`} />
+      <PressablePlanesButton
+        mode="long-press"
+        labelColor="#000000"
+        position={countInPos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={metronome.countIn ? '#22c55e' : padButtonColor}
+        showLabel
+        label={metronome.countIn ? `Count-in: ${metronome.countIn} bar${metronome.countIn > 1 ? 's' : ''}` : 'Count-in: OFF'}
+        onPressed={cycleCountIn}
+      />
+      <BeatLight position={beatLightPos} pulseRef={pulseRef} />
+      <Plate position={[beatLightPos[0], beatLightPos[1], beatLightPos[2] - 0.08]} size={[0.14, 0.06]}
+        text={countingIn ? `Count ${countBeats}` : 'Beat'} />
+
+      <PressablePlanesButton
+        mode="long-press"
+        labelColor="#000000"
+        position={recModePos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={recordMode === 'erase' ? '#dc3545' : padButtonColor}
+        showLabel
+        label={`Rec: ${recordMode}`}
+        onPressed={cycleRecordMode}
+      />
+
+      <ToggleSwitch
+        position={chordHoldPos}
+        size={size}
+        baseColor={switchBaseColor}
+        controlledIsOn={chordHold}
+        isOn={chordHold}
+        onToggle={onChordHold}
+      />
+      <Plate position={[chordHoldPos[0], chordHoldPos[1], chordHoldPos[2] - 0.08]} size={[0.16, 0.06]}
+        text={chordHold ? 'Chord Hold: ON' : 'Chord Hold: OFF'} />
+
+      <Dial position={velDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={VELOCITY_RANGE} value={selVelocity ?? DEFAULT_VELOCITY} onChange={onVelocityDial} />
+      <Plate position={[velDialPos[0], velDialPos[1], velDialPos[2] - 0.08]} size={[0.14, 0.06]}
+        text={selVelocity == null ? 'Vel: -' : `Vel: ${Math.round(selVelocity * 100)}%`}
+        color={selVelocity == null ? '#64748b' : '#000000'} />
+
+      <PressablePlanesButton
+        mode="toggle"
+        labelColor="#000000"
+        position={slidePos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        controlledIsOn={slideOn}
+        showLabel
+        label={slideOn ? 'Slide: ON' : 'Slide: OFF'}
+        onToggle={setSlide}
+      />
+
+      <PressablePlanesButton
+        mode="long-press"
+        labelColor="#000000"
+        position={trackTypePos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={selType === 'synth' ? padButtonColor : '#22c55e'}
+        showLabel
+        label={`T${selectedTrack + 1}: ${selType === 'drum' ? 'Drums' : selType === 'sample' ? 'Sample' : 'Synth'}`}
+        onPressed={cycleTrackType}
+      />
+
+      <PressablePlanesButton
+        mode="toggle"
+        labelColor="#000000"
+        position={fxModePos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        controlledIsOn={fxOverride}
+        showLabel
+        label={fxOverride ? `T${selectedTrack + 1} FX: Override` : `T${selectedTrack + 1} FX: Recorded`}
+        onToggle={(on) => patchSelFx({ mode: on ? 'override' : 'recorded' })}
+      />
+
+      <Dial position={fxSendPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={[0, 1]} value={selFx?.reverbMix ?? 0} onChange={(v) => patchSelFx({ reverbMix: +v.toFixed(2) })} />
+      <Plate position={[fxSendPos[0], fxSendPos[1], fxSendPos[2] - 0.08]}
+        text={`Send: ${Math.round((selFx?.reverbMix ?? 0) * 100)}%`} color={fxOverride ? '#000000' : '#64748b'} />
+
+      <Dial position={fxRoomPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={[0, 1]} value={selFx?.reverbRoomSize ?? 0} onChange={(v) => patchSelFx({ reverbRoomSize: +v.toFixed(2) })} />
+      <Plate position={[fxRoomPos[0], fxRoomPos[1], fxRoomPos[2] - 0.08]}
+        text={`Room: ${Math.round((selFx?.reverbRoomSize ?? 0) * 100)}%`} color={fxOverride ? '#000000' : '#64748b'} />
+
+      <Dial position={gateDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={GATE_RANGE} value={selGate ?? 1} onChange={onGateDial} />
+      <Plate position={[gateDialPos[0], gateDialPos[1], gateDialPos[2] - 0.08]} size={[0.16, 0.06]}
+        text={selGate == null ? 'Gate: -' : `Gate: ${+selGate.toFixed(2)} st`}
+        color={selGate == null ? '#64748b' : '#000000'} />
+
+      <PressablePlanesButton
+        mode="toggle"
+        labelColor="#000000"
+        position={tiePos}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        controlledIsOn={tieOn}
+        showLabel
+        label={tieOn ? 'Tie: ON' : 'Tie: OFF'}
+        onToggle={setTie}
+      />
+
+      <Dial position={quantizePos} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={QUANTIZE_RANGE} value={quantize} onChange={(v) => setQuantize?.(+v.toFixed(2))} />
+      <Plate position={[quantizePos[0], quantizePos[1], quantizePos[2] - 0.08]} size={[0.16, 0.06]}
+        text={`Quantize: ${Math.round(quantize * 100)}%`} color={playing && recording ? '#000000' : '#64748b'} />
+
+      <Dial position={swingDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor}
+        range={SWING_RANGE} step={1} stepAngle={Math.PI / 36} value={swing} onChange={onSwingDial} />
+      <Plate position={[swingDialPos[0], swingDialPos[1], swingDialPos[2] - 0.08]} text={`Swing: ${swing}%`} />
+
+      <Dial position={grooveDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor}
+        range={[0, GROOVES.length - 1]} step={1} stepAngle={Math.PI / 12} value={grooveIdx} onChange={onGrooveDial} />
+      <Plate position={[grooveDialPos[0], grooveDialPos[1], grooveDialPos[2] - 0.08]}
+        text={`T${selectedTrack + 1} Groove: ${grooveById(trackGroove?.id).label}`} />
+
+      <Dial position={nudgeDialPos} size={size} baseColor={dialBaseColor} dialColor={dialColor}
+        range={OFFSET_RANGE} step={0.01} stepAngle={Math.PI / 36} value={nudgeVal} onChange={onNudgeDial} />
+      <Plate position={[nudgeDialPos[0], nudgeDialPos[1], nudgeDialPos[2] - 0.08]}
+        text={`Nudge ${nudgeSlot}: ${nudgeVal >= 0 ? '+' : ''}${Math.round(nudgeVal * 100)}%`} />
 
       <SequenceVisualizer
         sequence={sequence}
@@ -301,7 +769,9 @@ export default function PlayBackRecorder({
         recording={recording}
         playing={playing}
         mutes={mutes}
-        stepSeconds={recDuration}
+        trackTypes={trackTypes}
+        stepSeconds={stepSeconds}
+        bpm={bpm}
         playhead={playhead}
         position={[-0.3, 0.25, -1.2]}
         rotation={[-Math.PI / 2, 0, 0]}
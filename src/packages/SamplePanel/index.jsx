@@ -0,0 +1,118 @@
+import { useCallback, useState } from 'react'
+import Dial from '../../components/dial'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { BUNDLED_SAMPLES, ROOT_RANGE, makeBundledSample, transposeRoots } from '../../audio/samples'
+
+function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+const midiName = (m) => `${NOTE_NAMES[m % 12]}${Math.floor(m / 12) - 1}`
+
+/**
+ * Sample browser for the selected track (VR side; local files are picked on
+ * the desktop page). Browse the bundled samples and multisampled folders,
+ * load one onto the track — which turns it into a sample track — then set the
+ * root note (moving every keyzone together) and trim.
+ */
+export default function SamplePanel({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.12,
+  gapZ = 0.14,
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+
+  selectedTrack = 0,
+  samples,
+  setSamples,
+  setTrackTypes,
+  status,
+}) {
+  const [browse, setBrowse] = useState(0)
+  const count = BUNDLED_SAMPLES.length
+  const browsed = BUNDLED_SAMPLES[browse]
+  const sample = samples?.[selectedTrack] ?? null
+
+  const step = useCallback((dir) => {
+    if (count) setBrowse(i => (i + dir + count) % count)
+  }, [count])
+
+  const patch = useCallback((p) => {
+    setSamples(prev => prev.map((s, t) => (t === selectedTrack && s ? { ...s, ...p } : s)))
+  }, [setSamples, selectedTrack])
+
+  const load = useCallback(() => {
+    if (!browsed) return
+    setSamples(prev => prev.map((s, t) => (t === selectedTrack ? makeBundledSample(browsed) : s)))
+    setTrackTypes(prev => prev.map((ty, t) => (t === selectedTrack ? 'sample' : ty)))
+  }, [browsed, selectedTrack, setSamples, setTrackTypes])
+
+  const setRoot = useCallback((root) => {
+    setSamples(prev => prev.map((s, t) => (t === selectedTrack && s ? transposeRoots(s, root) : s)))
+  }, [setSamples, selectedTrack])
+
+  const clear = useCallback(() => {
+    setSamples(prev => prev.map((s, t) => (t === selectedTrack ? null : s)))
+    // with no sample left the track plays its synth again
+    setTrackTypes(prev => prev.map((ty, t) => (t === selectedTrack && ty === 'sample' ? 'synth' : ty)))
+  }, [setSamples, selectedTrack, setTrackTypes])
+
+  const root = sample?.zones[0].root ?? 60
+  const zoneCount = sample?.zones.length ?? 0
+  const at = (col, row) => [col * gapX, 0, row * gapZ]
+  const labelAt = (col, row) => [col * gapX, 0, row * gapZ - 0.075]
+  const btn = { mode: 'long-press', size, baseColor: padBaseColor, buttonColor: padButtonColor, showLabel: true, labelColor: '#000000' }
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <PressablePlanesButton {...btn} position={at(0, 0)} label="<" onPressed={() => step(-1)} />
+      <PressablePlanesButton {...btn} position={at(1, 0)} label=">" onPressed={() => step(1)} />
+      <PressablePlanesButton {...btn} position={at(2, 0)} label="Load" buttonColor="#22c55e" onPressed={load} />
+      <PressablePlanesButton {...btn} position={at(3, 0)} label="Clear" buttonColor="#dc3545" onPressed={clear} />
+      <Plate position={labelAt(1.5, 0)} size={[0.44, 0.06]}
+        text={browsed
+          ? `${browse + 1}/${count} ${browsed.folder ? `${browsed.folder}/` : ''}${browsed.name}${browsed.files.length > 1 ? ` (${browsed.files.length} zones)` : ''}`
+          : 'No bundled samples'} />
+
+      <Dial position={at(0, 1)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={ROOT_RANGE} value={root} onChange={(v) => sample && setRoot(Math.round(v))} />
+      <Plate position={labelAt(0, 1)} size={[0.12, 0.06]}
+        text={zoneCount > 1 ? `Root ${midiName(root)} x${zoneCount}` : `Root ${midiName(root)}`} />
+
+      <Dial position={at(1, 1)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={[0, 1]} value={sample?.start ?? 0}
+        onChange={(v) => sample && patch({ start: +Math.min(v, sample.end - 0.01).toFixed(3) })} />
+      <Plate position={labelAt(1, 1)} size={[0.12, 0.06]} text={`Start ${Math.round((sample?.start ?? 0) * 100)}%`} />
+
+      <Dial position={at(2, 1)} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={[0, 1]} value={sample?.end ?? 1}
+        onChange={(v) => sample && patch({ end: +Math.max(v, sample.start + 0.01).toFixed(3) })} />
+      <Plate position={labelAt(2, 1)} size={[0.12, 0.06]} text={`End ${Math.round((sample?.end ?? 1) * 100)}%`} />
+
+      <Plate position={[3 * gapX, 0, gapZ]} size={[0.2, 0.06]}
+        color={status?.[selectedTrack] === 'error' ? '#dc3545' : '#000000'}
+        text={sample ? `T${selectedTrack + 1}: ${sample.name} (${status?.[selectedTrack] ?? 'loading'})` : `T${selectedTrack + 1}: no sample`} />
+    </group>
+  )
+}
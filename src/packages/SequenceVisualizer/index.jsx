@@ -1,6 +1,10 @@
 import React, { useMemo, useEffect, useRef, useState } from 'react'
 import { useFrame } from '@react-three/fiber'
 import BitmapText from '../../components/bitmapText'
+import { drumById } from '../../audio/drumKit'
+import { TRACK_TYPE_TAGS } from '../../audio/trackTypes'
+import { velocityOf } from '../../audio/velocity'
+import { heldSeconds, isTied } from '../../audio/gate'
 
 function midiToName(m) {
   const names = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B']
@@ -11,9 +15,36 @@ function midiToName(m) {
 function slotLabel(slot = []) {
   if (!slot || slot.length === 0) return ''
   const seen = new Set(), names = []
-  for (const ev of slot) { if (!seen.has(ev.midi)) { seen.add(ev.midi); names.push(midiToName(ev.midi)) } }
-  if (names.length <= 2) return names.join('·')
-  return `${names[0]}·${names[1]} +${names.length - 2}`
+  for (const ev of slot) {
+    if (seen.has(ev.midi)) continue
+    seen.add(ev.midi)
+    names.push(drumById(ev.drum)?.short ?? midiToName(ev.midi)) // drums show the kit voice
+  }
+  // glides in from the previous step / holds the previous step's note
+  const slide = (slot.some(ev => ev?.slide) ? '~' : '') + (slot.some(ev => ev?.tie) ? '=' : '')
+  if (names.length <= 2) return slide + names.join('·')
+  return `${slide}${names[0]}·${names[1]} +${names.length - 2}`
+}
+
+// Loudest velocity in a slot (null when it holds no notes)
+function slotVelocity(slot = []) {
+  let v = null
+  for (const ev of slot || []) if (typeof ev?.midi === 'number') v = Math.max(v ?? 0, velocityOf(ev))
+  return v
+}
+
+// Notes held for more than one step: [{ c, steps }] per track, longest per slot
+function heldSpans(track = [], bpm, stepSec) {
+  const spans = []
+  for (let c = 0; c < (track?.length ?? 0); c++) {
+    let steps = 0
+    for (const ev of track[c] || []) {
+      if (typeof ev?.midi !== 'number' || ev.drum || isTied(track, c, ev)) continue
+      steps = Math.max(steps, heldSeconds(track, c, ev, bpm, stepSec) / stepSec)
+    }
+    if (steps > 1) spans.push({ c, steps })
+  }
+  return spans
 }
 
 export default function SequenceVisualizer({
@@ -22,7 +53,9 @@ export default function SequenceVisualizer({
   selectedSlots = [0],
   playing = false,
   mutes = Array(5).fill(false),
+  trackTypes = [],
   stepSeconds = 0.5,
+  bpm = 120,
   playhead, // controlled
   position = [0.4, 0.85, -0.25],
   rotation = [-Math.PI / 2, 0, 0],
@@ -63,6 +96,16 @@ export default function SequenceVisualizer({
     )
   }, [sequence])
 
+  const velocities = useMemo(() => {
+    return Array.from({ length: rows }, (_, r) =>
+      Array.from({ length: cols }, (_, c) => slotVelocity(sequence?.[r]?.[c]))
+    )
+  }, [sequence])
+
+  const spans = useMemo(() => {
+    return Array.from({ length: rows }, (_, r) => heldSpans(sequence?.[r], bpm, stepSeconds))
+  }, [sequence, bpm, stepSeconds])
+
   const activeCol = playhead !== undefined ? playhead : ph
 
   const getColor = (r, c, hasContent) => {
@@ -82,7 +125,7 @@ export default function SequenceVisualizer({
         <group key={`row-${r}`}>
           {/* Row label */}
           <BitmapText
-            text={`T${r + 1}${mutes?.[r] ? ' (M)' : ''}`}
+            text={`T${r + 1}${TRACK_TYPE_TAGS[trackTypes?.[r]] ?? ''}${mutes?.[r] ? ' (M)' : ''}`}
             position={[-(halfW + 0.065), 0.0, (r * strideZ) - halfH]}
             rotation={[-Math.PI / 2, 0, 0]}
             scale={[0.04, 0.04, 0.04]}
@@ -92,6 +135,17 @@ export default function SequenceVisualizer({
             maxWidth={0.3 / 0.04}
           />
 
+          {/* held notes: a bar from the note's step across the steps it holds */}
+          {spans[r].map(({ c, steps }) => {
+            const len = Math.min(steps, cols - c) * strideX - gap
+            return (
+              <mesh key={`held-${r}-${c}`} position={[(c * strideX) - halfW - cw * 0.49 + len / 2, ch / 2 + 0.003, (r * strideZ) - halfH - cd * 0.42]}>
+                <boxGeometry args={[len, 0.001, cd * 0.12]} />
+                <meshBasicMaterial color="#0ea5e9" transparent opacity={mutes?.[r] ? 0.35 : 0.95} />
+              </mesh>
+            )
+          })}
+
           {Array.from({ length: cols }).map((__, c) => {
             const x = (c * strideX) - halfW
             const z = (r * strideZ) - halfH
@@ -99,6 +153,7 @@ export default function SequenceVisualizer({
             const { color, opacity } = getColor(r, c, hasContent)
             const isActive = playing && c === activeCol
             const label = labels[r][c]
+            const vel = velocities[r][c]
 
             return (
               <group key={`cell-${r}-${c}`} position={[x, 0, z]}>
@@ -115,6 +170,14 @@ export default function SequenceVisualizer({
                   />
                 </mesh>
 
+                {/* velocity bar along the cell's edge */}
+                {vel != null && (
+                  <mesh position={[-cw * 0.49 + (cw * 0.98 * vel) / 2, ch / 2 + 0.003, cd * 0.42]}>
+                    <boxGeometry args={[cw * 0.98 * vel, 0.001, cd * 0.12]} />
+                    <meshBasicMaterial color="#f08c00" transparent opacity={opacity} />
+                  </mesh>
+                )}
+
                 {label && (
                   <BitmapText
                     text={label}
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useState } from 'react'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+import { useOutputCapture } from '../../hooks/useOutputCapture'
+
+function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const VISIBLE = 4 // most recent takes shown as slots
+
+const fmtSec = (s) => `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, '0')}`
+
+// Browser download of a take (works from the headset browser too)
+function download(take) {
+  const a = document.createElement('a')
+  a.href = take.url
+  a.download = take.filename
+  a.click()
+}
+
+/**
+ * Record-output toggle plus the list of captured takes: pick a take, then
+ * audition, download or delete it. Captures exactly what is heard — the
+ * sequencer and anything played live.
+ */
+export default function TakesPanel({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.12,
+  gapZ = 0.14,
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+  recColor = '#dc3545',
+  selectedColor = '#22c55e',
+}) {
+  const engine = useAudioEngine()
+  const { capturing, takes, start, stop, remove } = useOutputCapture()
+  const [selectedId, setSelectedId] = useState(null)
+  const [playingId, setPlayingId] = useState(null)
+  const [elapsed, setElapsed] = useState(0)
+  const [error, setError] = useState(null) // last capture/playback failure, shown on the status plate
+
+  // recording clock, once a second
+  useEffect(() => {
+    if (!capturing) return
+    const t0 = Date.now()
+    setElapsed(0)
+    const id = setInterval(() => setElapsed((Date.now() - t0) / 1000), 1000)
+    return () => clearInterval(id)
+  }, [capturing])
+
+  const selected = takes.find(t => t.id === selectedId) ?? null
+  const visible = takes.slice(-VISIBLE)
+
+  const togglePlay = useCallback(() => {
+    if (!selected) return
+    if (playingId === selected.id) {
+      engine.stopTake()
+      setPlayingId(null)
+      return
+    }
+    const done = () => setPlayingId(id => (id === selected.id ? null : id))
+    setError(null)
+    setPlayingId(selected.id)
+    engine.playTake(selected.url, done).catch(() => {
+      setError('Could not play take')
+      done()
+    })
+  }, [engine, selected, playingId])
+
+  const onDelete = useCallback(() => {
+    if (!selected) return
+    if (playingId === selected.id) engine.stopTake()
+    remove(selected.id)
+    setSelectedId(null)
+  }, [engine, selected, playingId, remove])
+
+  const at = (col, row) => [col * gapX, 0, row * gapZ]
+  const btn = { mode: 'long-press', size, baseColor: padBaseColor, buttonColor: padButtonColor, showLabel: true, labelColor: '#000000' }
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <PressablePlanesButton
+        mode="toggle"
+        position={at(0, 0)}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={recColor}
+        showLabel
+        labelColor="#000000"
+        label={capturing ? 'Stop' : 'Rec Out'}
+        controlledIsOn={capturing}
+        onToggle={(on) => {
+          if (on) {
+            setError(null)
+            start().catch(() => setError('Could not record output'))
+          } else {
+            stop()
+              .then(take => { if (take) setSelectedId(take.id) }) // a finished take becomes the selection
+              .catch(() => setError('Could not finish the take'))
+          }
+        }}
+      />
+      <PressablePlanesButton {...btn} position={at(1, 0)} label={playingId && playingId === selected?.id ? 'Stop' : 'Play'}
+        onPressed={togglePlay} />
+      <PressablePlanesButton {...btn} position={at(2, 0)} label="Save" onPressed={() => selected && download(selected)} />
+      <PressablePlanesButton {...btn} position={at(3, 0)} label="Delete" buttonColor="#dc3545" onPressed={onDelete} />
+      <Plate position={[1.5 * gapX, 0, -0.075]} size={[0.44, 0.06]} color={capturing || error ? recColor : '#000000'}
+        text={capturing ? `* REC ${fmtSec(elapsed)}` : error ?? `${takes.length} take${takes.length === 1 ? '' : 's'}`} />
+
+      {Array.from({ length: VISIBLE }).map((_, i) => {
+        const take = visible[i]
+        return (
+          <PressablePlanesButton
+            key={`take-slot-${i}-${take?.id ?? 'empty'}`}
+            {...btn}
+            position={at(i, 1)}
+            buttonColor={take && take.id === selectedId ? selectedColor : padButtonColor}
+            label={take ? take.name : '-'}
+            onPressed={() => { if (take) setSelectedId(take.id) }}
+          />
+        )
+      })}
+      <Plate position={[1.5 * gapX, 0, gapZ + 0.075]} size={[0.44, 0.06]}
+        text={selected ? `${selected.name}  ${selected.stamp}  ${fmtSec(selected.seconds)}` : 'No take selected'} />
+    </group>
+  )
+}
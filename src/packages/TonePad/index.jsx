@@ -3,6 +3,11 @@ import Dial from '../../components/dial'
 import PressablePlanesButton from '../../components/button'
 import { useTonePad } from '../../hooks/useTonePad'
 import BitmapText from '../../components/bitmapText'
+import { pickFilter } from '../../audio/filter'
+import { pickOsc } from '../../audio/oscillator'
+import { pickGlide } from '../../audio/glide'
+import { DRUMS } from '../../audio/drumKit'
+import { clampVelocity } from '../../audio/velocity'
 
 function InfoPlate({
   position = [0, 0, 0],
@@ -51,20 +56,26 @@ export default function TonePad({
   synth,
   onChange,
   onNote,
+  kit = false, // selected track is a drum track → pads play the kit
+  sample = null, // selected track's sample, if it is a sample track
 }) {
   const {
     waveform, attack, decay, sustain, release,
     duration, reverbMix = 0, reverbRoomSize = 0, octave = 0, cleanupEps = 0.03,
   } = synth
 
-  const { triggerNote } = useTonePad({
+  const { triggerNote, triggerDrum } = useTonePad({
     waveform, attack, decay, sustain, release,
-    reverbMix, reverbRoomSize,
-    masterGain: 0.7,
     cleanupEps,
+    ...pickOsc(synth),
+    ...pickGlide(synth),
+    ...pickFilter(synth),
+    lfos: synth.lfos,
+    sample,
   })
 
   const noteLayout = useMemo(() => {
+    if (kit) return DRUMS.map(d => ({ midi: d.midi, label: d.label, drum: d.id }))
     const baseOct = 4 + Math.round(octave)
     const baseMidiC = 12 * (baseOct + 1)
     const offsets = [0, 2, 4, 5, 7, 9, 11, 12]
@@ -74,15 +85,18 @@ export default function TonePad({
       const nOct = Math.floor(midi / 12) - 1
       return { midi, label: `${names[i]}${nOct}` }
     })
-  }, [octave])
+  }, [octave, kit])
 
   const clamp01 = (x) => Math.min(1, Math.max(0, x))
   const pct = (x) => `${Math.round(clamp01(x) * 100)}%`
 
-  const onPadPress = useCallback((midi) => {
-    triggerNote(midi, duration)
-    onNote?.(midi)
-  }, [triggerNote, duration, onNote])
+  // `velocity` comes from how hard the pad was pushed (null for a click)
+  const onPadPress = useCallback((midi, drum, velocity) => {
+    const opts = { velocity: clampVelocity(velocity) }
+    if (drum) triggerDrum(drum, undefined, opts)
+    else triggerNote(midi, duration, undefined, opts)
+    onNote?.(midi, drum, opts.velocity)
+  }, [triggerNote, triggerDrum, duration, onNote])
 
   const mixPos = [leftOrigin[0] - reverbDialGapX * 0.5, leftOrigin[2], leftOrigin[1] + dialRowGapY * 0.5]
   const roomPos = [leftOrigin[0] + reverbDialGapX * 0.5, leftOrigin[2], leftOrigin[1] + dialRowGapY * 0.5]
@@ -124,7 +138,7 @@ export default function TonePad({
 
       <group>
         {pads.map(({ i, pos }) => {
-          const { midi, label } = noteLayout[i] ?? noteLayout[noteLayout.length - 1]
+          const { midi, label, drum } = noteLayout[i] ?? noteLayout[noteLayout.length - 1]
           return (
             <PressablePlanesButton
               key={`tone-pad-${i}-${label}`}
@@ -140,7 +154,7 @@ export default function TonePad({
               showLabel
               label={label}
               labelColor="#000000"
-              onPressed={() => onPadPress(midi)}
+              onPressed={(velocity) => onPadPress(midi, drum, velocity)}
               onPressDown={() => {}}
               onPressUp={() => {}}
             />
@@ -0,0 +1,95 @@
+import { useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import Dial from '../../components/dial'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { useAudioEngine } from '../../hooks/useAudioEngine'
+import { POLYPHONY_RANGE, VOICE_POLICIES } from '../../audio/voiceAllocator'
+
+function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const POLL_SEC = 0.1
+
+/**
+ * Polyphony settings (max voices, stealing policy) plus the engine's live
+ * voice count, for debugging. Synth and sample voices (poly and mono) count
+ * toward the limit; drum hits play on the kits' own per-drum synths and are
+ * shown separately.
+ */
+export default function VoiceMonitor({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  gapX = 0.12,
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+
+  voiceLimits,
+  setVoiceLimits,
+}) {
+  const engine = useAudioEngine()
+  const [active, setActive] = useState(0)
+  const [drums, setDrums] = useState(0)
+  const sinceRef = useRef(0)
+
+  // poll a few times a second; only re-render when the count changes
+  useFrame((_, dt) => {
+    sinceRef.current += dt
+    if (sinceRef.current < POLL_SEC) return
+    sinceRef.current = 0
+    const n = engine.activeVoices()
+    const d = engine.activeDrums()
+    setActive(prev => (prev === n ? prev : n))
+    setDrums(prev => (prev === d ? prev : d))
+  })
+
+  const { maxVoices, policy } = voiceLimits
+  const nextPolicy = VOICE_POLICIES[(VOICE_POLICIES.indexOf(policy) + 1) % VOICE_POLICIES.length]
+
+  return (
+    <group position={position} rotation={rotation} scale={scale}>
+      <Dial position={[0, 0, 0]} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+        range={POLYPHONY_RANGE} value={maxVoices}
+        onChange={(v) => setVoiceLimits(prev => ({ ...prev, maxVoices: Math.round(v) }))} />
+      <Plate position={[0, 0, -0.075]} size={[0.12, 0.06]} text={`Poly ${maxVoices}`} />
+
+      <PressablePlanesButton
+        mode="long-press"
+        position={[gapX, 0, 0]}
+        size={size}
+        baseColor={padBaseColor}
+        buttonColor={padButtonColor}
+        showLabel
+        labelColor="#000000"
+        label={policy}
+        onPressed={() => setVoiceLimits(prev => ({ ...prev, policy: nextPolicy }))}
+      />
+      <Plate position={[gapX, 0, -0.075]} size={[0.12, 0.06]} text="Steal" />
+
+      <Plate position={[2 * gapX, 0, 0]} size={[0.16, 0.06]}
+        color={active >= maxVoices ? '#dc3545' : '#000000'}
+        text={`Voices ${active}/${maxVoices}`} />
+      <Plate position={[2 * gapX, 0, 0.05]} size={[0.16, 0.06]} fontSize={0.018}
+        text={`Drums ${drums} (not limited)`} />
+    </group>
+  )
+}
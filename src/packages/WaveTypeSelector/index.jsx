@@ -1,8 +1,58 @@
-import React, { useMemo } from 'react'
+import React, { useMemo, useState } from 'react'
 import PressablePlanesButton from '../../components/button'
+import Dial from '../../components/dial'
+import BitmapText from '../../components/bitmapText'
+import {
+  OSC_FAMILIES, OSC_DEFAULTS, PARTIAL_PRESETS, PARTIAL_PRESET_NAMES,
+  HARMONICITY_RANGE, MOD_INDEX_RANGE, FAT_COUNT_RANGE, FAT_SPREAD_RANGE, PULSE_WIDTH_RANGE,
+  oscFamily, oscBase, familyWaves,
+} from '../../audio/oscillator'
 
-const WAVES = ['sine', 'triangle', 'sawtooth', 'square']
+// Per-family parameter dials: [key, label, range, format, round]
+const FAMILY_DIALS = {
+  basic: [],
+  fm: [
+    ['harmonicity', 'Harm', HARMONICITY_RANGE, v => v.toFixed(2), v => +v.toFixed(2)],
+    ['modulationIndex', 'Index', MOD_INDEX_RANGE, v => v.toFixed(1), v => +v.toFixed(1)],
+  ],
+  am: [
+    ['harmonicity', 'Harm', HARMONICITY_RANGE, v => v.toFixed(2), v => +v.toFixed(2)],
+  ],
+  fat: [
+    ['fatCount', 'Voices', FAT_COUNT_RANGE, v => `${v}`, v => Math.round(v)],
+    ['fatSpread', 'Spread', FAT_SPREAD_RANGE, v => `${Math.round(v)}c`, v => Math.round(v)],
+  ],
+  pulse: [
+    ['pulseWidth', 'Width', PULSE_WIDTH_RANGE, v => `${Math.round(v * 100)}%`, v => +v.toFixed(2)],
+  ],
+  custom: [],
+}
+
+const presetOf = (partials) =>
+  PARTIAL_PRESET_NAMES.find(n => PARTIAL_PRESETS[n].every((v, i) => v === partials?.[i])) ?? 'user'
 
+function Label({ position, text, fontSize = 0.02 }) {
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[0, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color="#000000"
+        align="right"
+        anchorY="middle"
+      />
+    </group>
+  )
+}
+
+/**
+ * Oscillator selector. The page button in front of the column flips through
+ * the wave families (basic, FM, AM, fat, pulse, custom); the column holds
+ * that family's waves and the dials below it its parameters.
+ * `params` are the oscillator fields of the synth (see audio/oscillator).
+ */
 export default function WaveTypeSelector({
   position = [0, 1, -0.5],
   spacing = 0.18,
@@ -10,16 +60,43 @@ export default function WaveTypeSelector({
   buttonScale = 0.6,
   onChange = () => {},
   selected = 'sine',
+  params = OSC_DEFAULTS,
+  onParamsChange = () => {},
+  dialBaseColor = '#324966',
+  dialColor = '#f08c00',
 }) {
-  const items = useMemo(() => WAVES.map((w, i) => ({
+  const [page, setPage] = useState(() => oscFamily(selected))
+  const [x, y, z] = position
+
+  const items = useMemo(() => familyWaves(page).map((w, i) => ({
     wave: w,
-    pos: [position[0], position[1], position[2] - i * spacing],
+    label: oscBase(w) ?? w,
+    pos: [x, y, z - i * spacing],
     isOn: selected === w,
-  })), [position, spacing, selected])
+  })), [page, x, y, z, spacing, selected])
+
+  const nextPage = OSC_FAMILIES[(OSC_FAMILIES.indexOf(page) + 1) % OSC_FAMILIES.length]
+  const dials = FAMILY_DIALS[page]
+  const preset = presetOf(params.partials)
+  const nextPreset = PARTIAL_PRESET_NAMES[(PARTIAL_PRESET_NAMES.indexOf(preset) + 1) % PARTIAL_PRESET_NAMES.length]
+  const rowZ = (i) => z + (i + 2) * spacing // rows in front of the page button
 
   return (
     <group>
-      {items.map(({ wave, pos, isOn }) => (
+      <PressablePlanesButton
+        mode="long-press"
+        position={[x, y, z + spacing]}
+        size={size}
+        buttonScale={buttonScale}
+        showLabel
+        label={page === oscFamily(selected) ? `${page} *` : page}
+        labelColor="#000000"
+        onPressed={() => setPage(nextPage)}
+        baseColor="#324966"
+        buttonColor="#7c3aed"
+      />
+
+      {items.map(({ wave, label, pos, isOn }) => (
         <PressablePlanesButton
           key={wave}
           mode="toggle"
@@ -27,7 +104,7 @@ export default function WaveTypeSelector({
           size={size}
           buttonScale={buttonScale}
           showLabel
-          label={wave}
+          label={label}
           labelColor="#000000"
           requireBottomForToggle
           activationThreshold={0.95}
@@ -37,6 +114,30 @@ export default function WaveTypeSelector({
           buttonColor="#2563eb"
         />
       ))}
+
+      {dials.map(([key, label, range, fmt, round], i) => (
+        <group key={`${page}-${key}`}>
+          <Dial position={[x, y, rowZ(i)]} size={size} baseColor={dialBaseColor} dialColor={dialColor} wrap={false}
+            range={range} value={params[key]} onChange={(v) => onParamsChange({ [key]: round(v) })} />
+          <Label position={[x - size[0] * 0.7, y, rowZ(i)]} text={`${label} ${fmt(params[key])}`} />
+        </group>
+      ))}
+
+      {page === 'custom' && (
+        <PressablePlanesButton
+          mode="long-press"
+          position={[x, y, rowZ(0)]}
+          size={size}
+          buttonScale={buttonScale}
+          showLabel
+          label={preset}
+          labelColor="#000000"
+          onPressed={() => onParamsChange({ partials: PARTIAL_PRESETS[nextPreset] })}
+          baseColor="#324966"
+          buttonColor="#2563eb"
+        />
+      )}
+      {page === 'custom' && <Label position={[x - size[0] * 0.7, y, rowZ(0)]} text="Partials" />}
     </group>
   )
 }
@@ -0,0 +1,175 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react'
+import * as THREE from 'three'
+import PressablePlanesButton from '../../components/button'
+import BitmapText from '../../components/bitmapText'
+import { useDisposable } from '../../hooks/useDisposable'
+import { PARTIAL_COUNT, PARTIAL_PRESETS, normalizePartials } from '../../audio/oscillator'
+
+function Plate({ position = [0, 0, 0], size = [0.16, 0.06], text = '', fontSize = 0.022, color = '#000000' }) {
+  const [w] = size
+  return (
+    <group position={position} rotation={[-Math.PI / 2, 0, 0]}>
+      <BitmapText
+        text={text}
+        position={[-w * 0.48, 0, 0.01]}
+        rotation={[Math.PI, 0, 0]}
+        scale={[fontSize, fontSize, fontSize]}
+        color={color}
+        align="left"
+        anchorY="middle"
+        maxWidth={(w * 0.95) / fontSize}
+      />
+    </group>
+  )
+}
+
+const PREVIEW_POINTS = 128
+const SINE = Array.from({ length: PARTIAL_COUNT }, (_, i) => (i === 0 ? 1 : 0))
+
+// One cycle of the additive wave into `out` (x, z pairs of a flat line),
+// peak-normalised to ±depth around z = 0
+function writeCycle(partials, out, width, depth) {
+  let peak = 0
+  const ys = new Float32Array(PREVIEW_POINTS)
+  for (let i = 0; i < PREVIEW_POINTS; i++) {
+    const ph = (2 * Math.PI * i) / (PREVIEW_POINTS - 1)
+    let y = 0
+    for (let n = 0; n < PARTIAL_COUNT; n++) if (partials[n]) y += partials[n] * Math.sin((n + 1) * ph)
+    ys[i] = y
+    peak = Math.max(peak, Math.abs(y))
+  }
+  for (let i = 0; i < PREVIEW_POINTS; i++) {
+    out[i * 3] = -width / 2 + (width * i) / (PREVIEW_POINTS - 1)
+    out[i * 3 + 1] = 0
+    out[i * 3 + 2] = peak > 0 ? (-ys[i] / peak) * depth : 0
+  }
+}
+
+/**
+ * Draw-your-own wave: one bar per harmonic, dragged with the finger (or any
+ * pointer) — sweeping across several bars paints them all. Editing switches
+ * the synth to the 'custom' oscillator so pads, recorded notes and saved
+ * instruments pick up the partials. Behind the bars, a live preview of one
+ * cycle of the resulting wave.
+ */
+export default function WavetableEditor({
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  scale = [1, 1, 1],
+  size = [0.085, 0.085],
+  width = 0.48,
+  height = 0.26,
+  previewDepth = 0.06,
+  gapX = 0.12,
+  padBaseColor = '#6987f5',
+  padButtonColor = '#0370ff',
+  barColor = '#7c3aed',
+  lineColor = '#f08c00',
+
+  partials,
+  active = false, // synth currently plays the custom wave
+  onChange = () => {}, // (partials) => void
+}) {
+  const values = useMemo(() => normalizePartials(partials), [partials])
+  const barW = width / PARTIAL_COUNT
+
+  // ───────── Drawing ─────────
+  const groupRef = useRef()
+  const draft = useRef(values) // edited copy while a stroke is in progress
+  const drawing = useRef(false)
+  const lastBar = useRef(-1)
+  const local = useMemo(() => new THREE.Vector3(), [])
+
+  useEffect(() => { if (!drawing.current) draft.current = values }, [values])
+
+  const paint = useCallback((point) => {
+    groupRef.current?.worldToLocal(local.copy(point))
+    const bar = Math.min(PARTIAL_COUNT - 1, Math.max(0, Math.floor((local.x + width / 2) / barW)))
+    const amp = +Math.min(1, Math.max(0, -local.z / height)).toFixed(2)
+    // fill the bars skipped by a fast sweep
+    const from = lastBar.current < 0 ? bar : lastBar.current
+    const next = [...draft.current]
+    for (let b = Math.min(from, bar); b <= Math.max(from, bar); b++) next[b] = amp
+    lastBar.current = bar
+    if (next.every((v, i) => v === draft.current[i])) return
+    draft.current = next
+    onChange(next)
+  }, [local, width, barW, height, onChange])
+
+  const onDown = (e) => {
+    e.stopPropagation()
+    e.target.setPointerCapture?.(e.pointerId)
+    drawing.current = true
+    lastBar.current = -1
+    paint(e.point)
+  }
+  const onUpOrOut = (e) => {
+    e.stopPropagation()
+    e.target?.releasePointerCapture?.(e.pointerId)
+    drawing.current = false
+    lastBar.current = -1
+  }
+  const onMove = (e) => {
+    if (!drawing.current) return
+    e.stopPropagation()
+    paint(e.point)
+  }
+
+  // ───────── Preview ─────────
+  const lineGeo = useDisposable(() => {
+    const g = new THREE.BufferGeometry()
+    g.setAttribute('position', new THREE.BufferAttribute(new Float32Array(PREVIEW_POINTS * 3), 3))
+    return g
+  }, [])
+  const lineMat = useDisposable(() => new THREE.LineBasicMaterial({ color: lineColor }), [lineColor])
+  const line = useMemo(() => new THREE.Line(lineGeo, lineMat), [lineGeo, lineMat])
+
+  useEffect(() => {
+    writeCycle(values, lineGeo.attributes.position.array, width, previewDepth)
+    lineGeo.attributes.position.needsUpdate = true
+    lineGeo.computeBoundingSphere()
+  }, [values, lineGeo, width, previewDepth])
+
+  const previewZ = -height - previewDepth - 0.03
+  const btn = { mode: 'long-press', size, baseColor: padBaseColor, buttonColor: padButtonColor, showLabel: true, labelColor: '#000000' }
+
+  return (
+    <group ref={groupRef} position={position} rotation={rotation} scale={scale}>
+      {/* bar field: origin at the front edge, bars grow away from the player */}
+      <mesh position={[0, 0.001, -height / 2]} rotation={[-Math.PI / 2, 0, 0]}
+        onPointerDown={onDown}
+        onPointerUp={onUpOrOut}
+        onPointerCancel={onUpOrOut}
+        onPointerOut={onUpOrOut}
+        onPointerMove={onMove}
+      >
+        <planeGeometry args={[width, height]} />
+        <meshBasicMaterial color="#1e293b" />
+      </mesh>
+      {values.map((v, i) => (
+        <group key={`partial-${i}`} position={[-width / 2 + barW * (i + 0.5), 0.002, 0]} scale={[1, 1, Math.max(0.001, v)]}>
+          <mesh position={[0, 0, -height / 2]} rotation={[-Math.PI / 2, 0, 0]} raycast={() => null}>
+            <planeGeometry args={[barW * 0.8, height]} />
+            <meshBasicMaterial color={barColor} />
+          </mesh>
+        </group>
+      ))}
+
+      {/* one cycle of the wave */}
+      <group position={[0, 0.002, previewZ]}>
+        <mesh position={[0, -0.001, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+          <planeGeometry args={[width, previewDepth * 2.3]} />
+          <meshBasicMaterial color="#0f172a" />
+        </mesh>
+        <primitive object={line} />
+      </group>
+      <Plate position={[0, 0, previewZ - previewDepth - 0.04]} size={[width, 0.06]}
+        text={active ? 'Custom wave (playing)' : 'Custom wave - draw to use'} />
+
+      <PressablePlanesButton {...btn} position={[-width / 2 + size[0] / 2, 0, 0.075]} label="Sine"
+        onPressed={() => onChange(SINE)} />
+      <PressablePlanesButton {...btn} position={[-width / 2 + size[0] / 2 + gapX, 0, 0.075]} label="Saw"
+        onPressed={() => onChange(PARTIAL_PRESETS.saw)} />
+    </group>
+  )
+}
@@ -0,0 +1,29 @@
+/*
+  # Add filter section to instruments
+
+  1. Modified Tables
+    - `instruments`
+      - `filter_type` (text, lowpass / highpass / bandpass)
+      - `filter_cutoff` (real, cutoff frequency in Hz)
+      - `filter_q` (real, resonance)
+      - `filter_key_track` (real, 0..1 cutoff key tracking)
+      - `filter_env_amount` (real, filter envelope depth in octaves)
+      - `filter_attack` (real, filter envelope attack time)
+      - `filter_decay` (real, filter envelope decay time)
+      - `filter_sustain` (real, filter envelope sustain level)
+      - `filter_release` (real, filter envelope release time)
+
+  2. Notes
+    - Defaults match the app's filter defaults, so existing instruments load
+      with an open, static filter and sound as before.
+*/
+
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_type text NOT NULL DEFAULT 'lowpass';
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_cutoff real NOT NULL DEFAULT 12000;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_q real NOT NULL DEFAULT 0.7;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_key_track real NOT NULL DEFAULT 0;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_env_amount real NOT NULL DEFAULT 0;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_attack real NOT NULL DEFAULT 0.01;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_decay real NOT NULL DEFAULT 0.2;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_sustain real NOT NULL DEFAULT 0.5;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_release real NOT NULL DEFAULT 0.3;
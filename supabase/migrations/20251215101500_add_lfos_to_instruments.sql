@@ -0,0 +1,13 @@
+/*
+  # Add LFO modulation to instruments
+
+  1. Modified Tables
+    - `instruments`
+      - `lfos` (jsonb, array of LFO settings: target, waveform, rate, sync,
+        depth, retrigger)
+
+  2. Notes
+    - Existing instruments get an empty list, i.e. no modulation.
+*/
+
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS lfos jsonb NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,25 @@
+/*
+  # Add extended oscillator settings to instruments
+
+  1. Modified Tables
+    - `instruments`
+      - `harmonicity` (real, FM/AM modulator to carrier ratio)
+      - `modulation_index` (real, FM depth)
+      - `fat_count` (integer, unison voices of fat waves)
+      - `fat_spread` (real, unison detune spread in cents)
+      - `pulse_width` (real, pulse duty cycle 0..1)
+      - `partials` (jsonb, harmonic amplitudes of the custom wave)
+
+  2. Notes
+    - `waveform` now also holds the extended types (e.g. `fmsine`,
+      `fatsawtooth`, `pulse`, `custom`); existing basic waves are unchanged.
+    - Defaults match the app's oscillator defaults; an empty `partials` list
+      loads as the default custom wave.
+*/
+
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS harmonicity real NOT NULL DEFAULT 2;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS modulation_index real NOT NULL DEFAULT 4;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS fat_count integer NOT NULL DEFAULT 3;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS fat_spread real NOT NULL DEFAULT 20;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS pulse_width real NOT NULL DEFAULT 0.5;
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS partials jsonb NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,14 @@
+/*
+  # Add voice mode and portamento to instruments
+
+  1. Modified Tables
+    - `instruments`
+      - `voice_mode` (text, poly / mono / legato)
+      - `glide` (real, portamento time in seconds)
+
+  2. Notes
+    - Existing instruments stay polyphonic without glide.
+*/
+
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS voice_mode text NOT NULL DEFAULT 'poly';
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS glide real NOT NULL DEFAULT 0;
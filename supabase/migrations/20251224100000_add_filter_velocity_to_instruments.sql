@@ -0,0 +1,12 @@
+/*
+  # Add velocity-to-cutoff amount to instruments
+
+  1. Modified Tables
+    - `instruments`
+      - `filter_velocity` (real, 0..1, how far soft notes close the filter)
+
+  2. Notes
+    - Existing instruments ignore velocity in the filter.
+*/
+
+ALTER TABLE instruments ADD COLUMN IF NOT EXISTS filter_velocity real NOT NULL DEFAULT 0;